@@ -0,0 +1,178 @@
+// audit-log.js - Persistent JSONL audit trail of the changes made through the service
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { v4 as uuidv4 } from 'uuid';
+
+const MAX_BODY_LENGTH = 10000;
+export const MAX_QUERY_LIMIT = 1000;
+
+// Keeps request bodies (bulk manifests, import bundles) from bloating every entry: bodies
+// over MAX_BODY_LENGTH characters are stored with long strings and arrays summarised.
+export function summarizeRequestBody(body) {
+  const serialized = JSON.stringify(body ?? null);
+  if (serialized.length <= MAX_BODY_LENGTH) {
+    return body;
+  }
+  if (typeof body !== 'object' || Array.isArray(body)) {
+    return `<${serialized.length} characters>`;
+  }
+
+  const summary = { truncated: true, length: serialized.length };
+  for (const [key, value] of Object.entries(body)) {
+    const size = JSON.stringify(value ?? null).length;
+    if (size <= 500) {
+      summary[key] = value;
+    } else if (Array.isArray(value)) {
+      summary[key] = `<${value.length} items>`;
+    } else {
+      summary[key] = `<${size} characters>`;
+    }
+  }
+  return summary;
+}
+
+// Collects what happens while one API request is handled. Service methods record
+// their steps, the ODAG payloads they send and the link IDs they touch; the entry
+// is written when the response is sent.
+export class AuditTrail {
+  constructor(auditLog, entry) {
+    this.auditLog = auditLog;
+    this.entry = entry;
+    this.finished = false;
+  }
+
+  step(step, outcome, details = {}) {
+    this.entry.steps.push({ step, outcome, at: new Date().toISOString(), ...details });
+  }
+
+  payload(odagPayload) {
+    this.entry.odagPayloads.push(odagPayload);
+  }
+
+  link(linkId) {
+    if (linkId && !this.entry.linkIds.includes(linkId)) {
+      this.entry.linkIds.push(linkId);
+    }
+  }
+
+  finish(statusCode, body = {}) {
+    if (this.finished) return;
+    this.finished = true;
+
+    // Dry runs and previews change nothing, so they are not audited
+    if (body.dryRun === true) return;
+
+    this.link(body.odagLinkId);
+    for (const result of Array.isArray(body.results) ? body.results : []) {
+      this.link(result.odagLinkId);
+    }
+
+    const failed = statusCode >= 400 || body.success === false;
+    this.auditLog.append({
+      ...this.entry,
+      finishedAt: new Date().toISOString(),
+      statusCode,
+      outcome: failed ? 'failed' : body.partial ? 'partial' : 'success',
+      error: body.error || undefined
+    });
+  }
+}
+
+// Used when a service method is called without an audit trail (scripts, internal calls)
+export const noAuditTrail = {
+  step() {},
+  payload() {},
+  link() {}
+};
+
+export class AuditLog {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  begin(action, { user = null, environment = null, request = {} } = {}) {
+    return new AuditTrail(this, {
+      id: uuidv4(),
+      timestamp: new Date().toISOString(),
+      action,
+      user,
+      environment,
+      request,
+      odagPayloads: [],
+      linkIds: [],
+      steps: []
+    });
+  }
+
+  append(entry) {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      console.error(`Failed to write audit entry ${entry.id} to ${this.filePath}:`, error.message);
+    }
+  }
+
+  // Streams the entries oldest first without holding the whole file in memory
+  async *entries() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const lines = readline.createInterface({ input: fs.createReadStream(this.filePath, 'utf8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch (error) {
+        console.error('Skipping unreadable audit log line:', error.message);
+      }
+    }
+  }
+
+  // Newest first. Text filters match case-insensitively; from/to are ISO dates.
+  // limit is capped at MAX_QUERY_LIMIT, since that many entries are held while reading.
+  async query({ user, action, linkId, outcome, environment, from, to, limit = 100, offset = 0 } = {}) {
+    if (!Number.isInteger(limit) || limit < 1 || !Number.isInteger(offset) || offset < 0) {
+      throw new Error('limit must be a positive integer and offset a non-negative integer');
+    }
+    limit = Math.min(limit, MAX_QUERY_LIMIT);
+    const contains = (value, term) => String(value || '').toLowerCase().includes(String(term).toLowerCase());
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+      throw new Error(`Invalid date: ${Number.isNaN(fromTime) ? from : to}`);
+    }
+    const matches = entry =>
+      (!user || contains(entry.user, user)) &&
+      (!action || contains(entry.action, action)) &&
+      (!linkId || (entry.linkIds || []).includes(linkId)) &&
+      (!outcome || entry.outcome === outcome) &&
+      (!environment || entry.environment === environment) &&
+      (fromTime === null || new Date(entry.timestamp).getTime() >= fromTime) &&
+      (toTime === null || new Date(entry.timestamp).getTime() <= toTime);
+
+    // Only the newest offset + limit matches are kept while reading
+    const newest = [];
+    let total = 0;
+    for await (const entry of this.entries()) {
+      if (!matches(entry)) continue;
+      total++;
+      newest.push(entry);
+      if (newest.length > offset + limit) newest.shift();
+    }
+
+    return {
+      total,
+      entries: newest.reverse().slice(offset, offset + limit)
+    };
+  }
+
+  async get(id) {
+    for await (const entry of this.entries()) {
+      if (entry.id === id) return entry;
+    }
+    return null;
+  }
+}
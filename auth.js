@@ -0,0 +1,218 @@
+// auth.js - Authentication of web UI and REST API callers (API keys, local users, trusted proxy header)
+import crypto from 'crypto';
+import fs from 'fs';
+
+export const PROVIDERS = ['apiKey', 'local', 'trustedHeader'];
+
+export const SESSION_COOKIE = 'odag_session';
+
+const PURGE_INTERVAL = 10 * 60 * 1000;
+
+// Checked instead of a real hash for unknown user names, so they take as long to refuse
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+const ANONYMOUS = { id: 'anonymous', name: 'anonymous', userDirectory: null, userId: null, groups: [], provider: 'none' };
+
+// Passwords are stored as "scrypt$<salt>$<hash>" (hex)
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// API keys are only kept as their SHA-256 hash in config.js
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+export function generateApiKey() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function sameHash(a, b) {
+  const left = Buffer.from(String(a), 'hex');
+  const right = Buffer.from(String(b), 'hex');
+  return left.length === right.length && left.length > 0 && crypto.timingSafeEqual(left, right);
+}
+
+// "DOMAIN\userId" becomes the Qlik user; a bare name uses the default directory
+function toIdentity({ name, qlikUser, groups }, provider, defaultDirectory) {
+  const match = typeof qlikUser === 'string' && qlikUser.match(/^([^\\]+)\\(.+)$/);
+  const userDirectory = match ? match[1] : (qlikUser ? defaultDirectory || null : null);
+  const userId = match ? match[2] : qlikUser || null;
+
+  return {
+    id: userDirectory && userId ? `${userDirectory}\\${userId}` : name,
+    name,
+    userDirectory,
+    userId,
+    groups: Array.isArray(groups) ? groups : [],
+    provider
+  };
+}
+
+function remoteAddress(req) {
+  return String(req.socket?.remoteAddress || '').replace(/^::ffff:/, '');
+}
+
+// Resolves the identity of a request through the configured providers, tried in order.
+// With no providers configured every request is accepted as "anonymous".
+export class Authenticator {
+  constructor(options = {}) {
+    this.providers = options.providers || [];
+    this.apiKeys = options.apiKeys || [];
+    this.usersFile = options.usersFile || 'users.json';
+    this.sessionTimeout = options.sessionTimeout || 8 * 60 * 60 * 1000;
+    this.maxFailedLogins = options.maxFailedLogins || 5;
+    this.lockoutPeriod = options.lockoutPeriod || 15 * 60 * 1000;
+    this.trustedHeader = options.trustedHeader || {};
+    this.defaultUserDirectory = options.defaultUserDirectory || null;
+    this.sessions = new Map();
+    this.failedLogins = new Map();
+
+    const unknown = this.providers.filter(provider => !PROVIDERS.includes(provider));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown authentication provider(s): ${unknown.join(', ')}. Available: ${PROVIDERS.join(', ')}`);
+    }
+    // Anyone who can reach the port could otherwise claim to be any user
+    const trustedProxies = this.trustedHeader.trustedProxies;
+    if (this.providers.includes('trustedHeader') && (!Array.isArray(trustedProxies) || trustedProxies.length === 0)) {
+      throw new Error('The trustedHeader provider needs auth.trustedHeader.trustedProxies: the addresses of the reverse proxies allowed to set the user header');
+    }
+
+    if (this.loginEnabled) {
+      setInterval(() => this.purgeExpired(), PURGE_INTERVAL).unref();
+    }
+  }
+
+  get enabled() {
+    return this.providers.length > 0;
+  }
+
+  get loginEnabled() {
+    return this.providers.includes('local');
+  }
+
+  authenticate(req) {
+    if (!this.enabled) {
+      return ANONYMOUS;
+    }
+
+    for (const provider of this.providers) {
+      const identity = provider === 'apiKey' ? this.fromApiKey(req)
+        : provider === 'local' ? this.fromSession(req)
+          : this.fromTrustedHeader(req);
+      if (identity) return identity;
+    }
+    return null;
+  }
+
+  fromApiKey(req) {
+    const authorization = req.get('Authorization') || '';
+    const key = req.get('X-API-Key') || (authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null);
+    if (!key) return null;
+
+    const keyHash = hashApiKey(key);
+    const entry = this.apiKeys.find(apiKey => sameHash(apiKey.keyHash, keyHash));
+    return entry ? toIdentity({ name: entry.name, qlikUser: entry.user, groups: entry.groups }, 'apiKey', this.defaultUserDirectory) : null;
+  }
+
+  fromTrustedHeader(req) {
+    const user = req.get(this.trustedHeader.userHeader || 'X-Remote-User');
+    if (!user || !this.trustedHeader.trustedProxies.includes(remoteAddress(req))) return null;
+
+    const groups = (req.get(this.trustedHeader.groupsHeader || 'X-Remote-Groups') || '')
+      .split(',').map(group => group.trim()).filter(Boolean);
+    return toIdentity({ name: user, qlikUser: user, groups }, 'trustedHeader', this.trustedHeader.userDirectory || this.defaultUserDirectory);
+  }
+
+  sessionToken(req) {
+    const cookies = (req.get('Cookie') || '').split(';').map(cookie => cookie.trim());
+    const cookie = cookies.find(value => value.startsWith(`${SESSION_COOKIE}=`));
+    return cookie ? decodeURIComponent(cookie.slice(SESSION_COOKIE.length + 1)) : null;
+  }
+
+  fromSession(req) {
+    const token = this.sessionToken(req);
+    const session = token && this.sessions.get(token);
+    if (!session) return null;
+
+    if (session.expiresAt < Date.now()) {
+      this.sessions.delete(token);
+      return null;
+    }
+    session.expiresAt = Date.now() + this.sessionTimeout;
+    return session.identity;
+  }
+
+  readUsers() {
+    if (!fs.existsSync(this.usersFile)) {
+      return [];
+    }
+    const parsed = JSON.parse(fs.readFileSync(this.usersFile, 'utf8'));
+    return Array.isArray(parsed.users) ? parsed.users : [];
+  }
+
+  // Failed sign-ins are counted per user name and client address. After maxFailedLogins
+  // in a row the pair is locked out for lockoutPeriod; returns the milliseconds left.
+  lockedOutFor(username, address) {
+    const failures = this.failedLogins.get(`${String(username).toLowerCase()}|${address}`);
+    return failures && failures.lockedUntil > Date.now() ? failures.lockedUntil - Date.now() : 0;
+  }
+
+  recordFailedLogin(username, address) {
+    const key = `${String(username).toLowerCase()}|${address}`;
+    const failures = this.failedLogins.get(key) || { count: 0, lockedUntil: 0 };
+    failures.count++;
+    failures.lastFailure = Date.now();
+    if (failures.count >= this.maxFailedLogins) {
+      failures.count = 0;
+      failures.lockedUntil = Date.now() + this.lockoutPeriod;
+    }
+    this.failedLogins.set(key, failures);
+  }
+
+  // Returns { token, identity } for a valid local user, or null
+  login(username, password, address) {
+    if (!this.loginEnabled || !username || !password) return null;
+
+    const user = this.readUsers().find(entry => entry.username.toLowerCase() === String(username).toLowerCase());
+    const passwordValid = verifyPassword(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+    if (!user || user.disabled || !passwordValid) {
+      this.recordFailedLogin(username, address);
+      return null;
+    }
+    this.failedLogins.delete(`${String(username).toLowerCase()}|${address}`);
+
+    const identity = toIdentity({ name: user.username, qlikUser: user.qlikUser, groups: user.groups }, 'local', this.defaultUserDirectory);
+    const token = crypto.randomBytes(32).toString('hex');
+    this.sessions.set(token, { identity, expiresAt: Date.now() + this.sessionTimeout });
+    return { token, identity };
+  }
+
+  // Drops sessions nobody came back for and failure counts that have run out
+  purgeExpired() {
+    const now = Date.now();
+    for (const [token, session] of this.sessions) {
+      if (session.expiresAt < now) this.sessions.delete(token);
+    }
+    for (const [key, failures] of this.failedLogins) {
+      if (failures.lockedUntil < now && failures.lastFailure + this.lockoutPeriod < now) this.failedLogins.delete(key);
+    }
+  }
+
+  logout(req) {
+    const token = this.sessionToken(req);
+    if (token) this.sessions.delete(token);
+  }
+}
@@ -0,0 +1,194 @@
+// authorization.js - Rules for which users and groups may link which apps
+import fs from 'fs';
+import YAML from 'yaml';
+
+const LIST_FIELDS = ['users', 'groups', 'selectionApps', 'streams', 'templateApps'];
+
+// Case-insensitive match where "*" matches any run of characters
+function matchesPattern(pattern, value) {
+  if (value === undefined || value === null) return false;
+  const regex = String(pattern).toLowerCase().split('*')
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${regex}$`).test(String(value).toLowerCase());
+}
+
+function matchesAny(patterns, ...values) {
+  return patterns.some(pattern => values.some(value => matchesPattern(pattern, value)));
+}
+
+// Whether the identity is one of the users (matched on id or name) or in one of the groups
+export function identityMatches(identity, { users = [], groups = [] } = {}) {
+  return matchesAny(users, identity.id, identity.name) ||
+    (identity.groups || []).some(group => matchesAny(groups, group));
+}
+
+function describeApp(app) {
+  return app.name ? `"${app.name}"` : app.id;
+}
+
+export function validateAuthorizationRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Authorization rules must be an array or an object with a "rules" array');
+  }
+
+  const names = new Set();
+  rules.forEach((rule, index) => {
+    const label = `rules[${index}]`;
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`${label}: rule must be an object`);
+    }
+    if (typeof rule.name !== 'string' || rule.name.trim() === '') {
+      throw new Error(`${label}: name is required`);
+    }
+    if (names.has(rule.name)) {
+      throw new Error(`${label}: rule name "${rule.name}" is used twice`);
+    }
+    names.add(rule.name);
+    if (rule.effect !== undefined && !['allow', 'deny'].includes(rule.effect)) {
+      throw new Error(`${label} (${rule.name}): effect must be "allow" or "deny"`);
+    }
+    for (const field of LIST_FIELDS) {
+      if (rule[field] !== undefined && (!Array.isArray(rule[field]) || rule[field].some(value => typeof value !== 'string'))) {
+        throw new Error(`${label} (${rule.name}): ${field} must be an array of strings`);
+      }
+    }
+    if (rule.maxRowEstHighBound !== undefined && (!Number.isInteger(rule.maxRowEstHighBound) || rule.maxRowEstHighBound < 1)) {
+      throw new Error(`${label} (${rule.name}): maxRowEstHighBound must be a positive integer`);
+    }
+  });
+  return rules;
+}
+
+// The decisions for one caller. Apps are { id, name, stream } as returned by
+// validateAppId/searchApps. Deny rules win over allow rules; without a matching
+// allow rule the request is refused.
+export class AccessPolicy {
+  constructor(rules, identity) {
+    this.identity = identity;
+    this.rules = rules.filter(rule => this.appliesToIdentity(rule));
+  }
+
+  get enabled() {
+    return true;
+  }
+
+  appliesToIdentity(rule) {
+    if (!rule.users && !rule.groups) return true;
+    return identityMatches(this.identity, rule);
+  }
+
+  appReason(rule, role, app) {
+    if (role === 'selection') {
+      if (rule.selectionApps && !matchesAny(rule.selectionApps, app.id, app.name)) {
+        return `selection app ${describeApp(app)} is not one of its selectionApps`;
+      }
+      if (rule.streams && !matchesAny(rule.streams, app.stream)) {
+        return `selection app ${describeApp(app)} is ${app.stream ? `in stream "${app.stream}"` : 'not published'}, not in one of its streams`;
+      }
+    } else if (rule.templateApps && !matchesAny(rule.templateApps, app.id, app.name)) {
+      return `template app ${describeApp(app)} is not one of its templateApps`;
+    }
+    return null;
+  }
+
+  // Whether the app should be offered in the app pickers for the role ('selection' or
+  // 'template'). Deny rules that also depend on the other app can't hide it here.
+  canUseApp(app, role) {
+    const otherRoleFields = role === 'selection' ? ['templateApps'] : ['selectionApps', 'streams'];
+    const coversApp = rule => !this.appReason(rule, role, app);
+    const denied = this.rules.some(rule =>
+      rule.effect === 'deny' && coversApp(rule) && !otherRoleFields.some(field => rule[field])
+    );
+    return !denied && this.rules.some(rule => rule.effect !== 'deny' && coversApp(rule));
+  }
+
+  // Returns null when the caller may create or manage a link on these apps, otherwise
+  // { rule, reason, message } naming the rule that blocked it (rule is null when no
+  // allow rule applies). rowEstRange is checked against maxRowEstHighBound when given.
+  checkLink({ selectionApp, templateApp, rowEstRange }) {
+    const user = this.identity.id;
+    const appsMatch = rule => !this.appReason(rule, 'selection', selectionApp) && !this.appReason(rule, 'template', templateApp);
+
+    const deny = this.rules.find(rule => rule.effect === 'deny' && appsMatch(rule));
+    if (deny) {
+      const reason = `denies ${user} links on selection app ${describeApp(selectionApp)} with template app ${describeApp(templateApp)}`;
+      return { rule: deny.name, reason, message: `Blocked by authorization rule "${deny.name}": it ${reason}` };
+    }
+
+    const refusals = [];
+    for (const rule of this.rules.filter(candidate => candidate.effect !== 'deny')) {
+      const reason = this.appReason(rule, 'selection', selectionApp) || this.appReason(rule, 'template', templateApp) ||
+        this.highBoundReason(rule, rowEstRange);
+      if (!reason) return null;
+      refusals.push({ rule: rule.name, reason });
+    }
+
+    if (refusals.length === 0) {
+      const reason = `no authorization rule allows ${user} to create or manage ODAG links`;
+      return { rule: null, reason, message: `Not authorized: ${reason}` };
+    }
+    // Report the rule that got furthest: a cap refusal means the apps themselves were allowed
+    const blocking = refusals.find(refusal => refusal.reason.startsWith('rowEstRange')) || refusals[0];
+    return {
+      ...blocking,
+      message: `Blocked by authorization rule "${blocking.rule}": ${blocking.reason}`,
+      rules: refusals
+    };
+  }
+
+  highBoundReason(rule, rowEstRange) {
+    if (!rule.maxRowEstHighBound || !Array.isArray(rowEstRange)) return null;
+    const tooHigh = rowEstRange.find(range => range && range.highBound > rule.maxRowEstHighBound);
+    return tooHigh
+      ? `rowEstRange highBound ${tooHigh.highBound} for ${tooHigh.context} exceeds its maximum of ${rule.maxRowEstHighBound}`
+      : null;
+  }
+}
+
+// Used when no authorization file is configured: every authenticated caller may do everything
+export const allowAll = {
+  enabled: false,
+  canUseApp() { return true; },
+  checkLink() { return null; }
+};
+
+// Reads the rules from a JSON or YAML file, re-reading it when it changes so rules can
+// be edited without restarting the service. An invalid edit keeps the previous rules.
+export class Authorizer {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.rules = [];
+    this.loadedAt = 0;
+    if (this.enabled) {
+      this.load();
+    }
+  }
+
+  get enabled() {
+    return Boolean(this.filePath);
+  }
+
+  load() {
+    const content = fs.readFileSync(this.filePath, 'utf8');
+    const parsed = /\.ya?ml$/i.test(this.filePath) ? YAML.parse(content) : JSON.parse(content);
+    this.rules = validateAuthorizationRules(Array.isArray(parsed) ? parsed : parsed && parsed.rules);
+    this.loadedAt = fs.statSync(this.filePath).mtimeMs;
+    console.log(`Loaded ${this.rules.length} authorization rule(s) from ${this.filePath}`);
+  }
+
+  currentRules() {
+    try {
+      if (fs.statSync(this.filePath).mtimeMs !== this.loadedAt) {
+        this.load();
+      }
+    } catch (error) {
+      console.error(`Failed to reload authorization rules from ${this.filePath}, keeping the previous rules:`, error.message);
+    }
+    return this.rules;
+  }
+
+  forIdentity(identity) {
+    return this.enabled ? new AccessPolicy(this.currentRules(), identity) : allowAll;
+  }
+}
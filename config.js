@@ -9,6 +9,12 @@ export const config = {
   userDirectory: 'win-7cu4ono2k4r',
   userId: 'qlik_svc',
   
+  // Make QRS, ODAG and Engine calls as the requesting user (their Qlik user from the
+  // auth identity) instead of userId above, so Qlik security rules apply to them.
+  // Requires authentication; can be set per environment profile.
+  impersonation: false,
+  maxImpersonatedUsers: 100,   // Per-user service instances kept in memory (least recently used are dropped)
+  
   // Virtual proxy (empty for default)
   virtualProxy: '',
   
@@ -19,8 +25,60 @@ export const config = {
   // SSL settings
   rejectUnauthorized: true,
   
+  // Declarative link definitions (JSON/YAML) used by /api/odag/sync when no content is posted
+  linksFile: '',
+  
+  // Template binding check before link creation: 'fail', 'warn' or 'off'
+  bindingCheck: 'fail',
+  
+  // JSONL file recording every change made through the service (see /api/audit)
+  auditLogFile: 'audit-log.jsonl',
+  // Who may read the audit log once authentication is enabled (user ids/names and groups)
+  auditReaders: { users: [], groups: [] },
+  
+  // Authentication for the web UI and REST API. Providers are tried in order:
+  //   'apiKey'        - X-API-Key (or Authorization: Bearer) header matched against apiKeys
+  //   'local'         - sign-in form backed by usersFile (maintained with manage-users.js)
+  //   'trustedHeader' - user name set by a reverse proxy in trustedHeader.userHeader
+  // Leave providers empty to disable authentication (anyone who can reach the port can make changes).
+  auth: {
+    providers: [],
+    apiKeys: [
+      // { name: 'deploy-pipeline', keyHash: '<from node manage-users.js api-key>', user: 'DOMAIN\\svc_deploy', groups: ['automation'] }
+    ],
+    usersFile: 'users.json',
+    sessionTimeout: 28800000,   // Sign-in sessions end after 8 hours without a request
+    maxFailedLogins: 5,         // Failed sign-ins in a row before a user name is locked out for that address
+    lockoutPeriod: 900000,      // 15 minutes
+    trustedHeader: {
+      userHeader: 'X-Remote-User',      // "DOMAIN\\userId" or a bare user ID (userDirectory is then used)
+      groupsHeader: 'X-Remote-Groups',  // Comma-separated
+      userDirectory: '',                // Directory for bare user IDs; defaults to userDirectory above
+      trustedProxies: []                // Required for trustedHeader: addresses of the proxies allowed to set the headers
+    }
+  },
+  
+  // JSON or YAML file with the rules for who may create and manage links on which apps
+  // (see README). Leave empty to let every authenticated user manage every link.
+  authorizationFile: '',
+  
+  // Named environment profiles. Each profile overrides the settings above for that
+  // environment (host, ports, certsPath, userDirectory, userId, virtualProxy, ...).
+  // Leave empty to use the settings above as a single "default" environment.
+  environments: {
+    // dev: { qlikHost: 'qlik-dev.domain.com', certsPath: 'C:/certs/dev' },
+    // test: { qlikHost: 'qlik-test.domain.com', certsPath: 'C:/certs/test' },
+    // prod: { qlikHost: 'qlik-prod.domain.com', certsPath: 'C:/certs/prod', userId: 'qlik_svc_prod' }
+  },
+  defaultEnvironment: '',
+  
   // Timeouts
   requestTimeout: 30000,
+  generationTimeout: 600000,      // How long /generate waits for the generated app
+  generationPollInterval: 5000,   // How often /generate checks the request state
+  // Callers allowed to pass "user" to /generate and have the app owned by someone else
+  // (user ids/names and groups, "*" wildcards). Everyone else can only generate for themselves.
+  generateOnBehalfOf: { users: [], groups: [] },
   maxRetries: 3,
   retryDelay: 1000
 };
\ No newline at end of file
@@ -0,0 +1,130 @@
+// context-rules.js - Validation of the per-context rowEstRange, appRetentionTime and genAppName rules
+
+// ODAG evaluates each rule against the requesting user as "User_<directory>\<userId>".
+// "*" matches any run of characters, so "User_*" is the catch-all rule.
+const CONTEXT_PATTERN = /^User_[A-Za-z0-9_.\-\\@ *]+$/;
+
+const RULE_PROPERTIES = ['rowEstRange', 'appRetentionTime', 'genAppName'];
+
+function literalPrefix(context) {
+  const wildcard = context.indexOf('*');
+  return (wildcard === -1 ? context : context.slice(0, wildcard)).toLowerCase();
+}
+
+function contextsOverlap(a, b) {
+  const aPrefix = literalPrefix(a);
+  const bPrefix = literalPrefix(b);
+  const aWild = a.includes('*');
+  const bWild = b.includes('*');
+
+  if (!aWild && !bWild) return false;
+  if (aWild && bWild) return aPrefix.startsWith(bPrefix) || bPrefix.startsWith(aPrefix);
+  return aWild ? b.toLowerCase().startsWith(aPrefix) : a.toLowerCase().startsWith(bPrefix);
+}
+
+function isCatchAll(context) {
+  return context === 'User_*';
+}
+
+function validateRuleValues(property, rule, label, errors) {
+  switch (property) {
+    case 'rowEstRange': {
+      const { lowBound, highBound } = rule;
+      if (!Number.isInteger(lowBound) || lowBound < 0) {
+        errors.push(`${label}: lowBound must be a non-negative integer`);
+      }
+      if (!Number.isInteger(highBound) || highBound < 1) {
+        errors.push(`${label}: highBound must be a positive integer`);
+      }
+      if (Number.isInteger(lowBound) && Number.isInteger(highBound) && lowBound > highBound) {
+        errors.push(`${label}: lowBound (${lowBound}) is greater than highBound (${highBound})`);
+      }
+      break;
+    }
+    case 'appRetentionTime':
+      if (!Number.isInteger(rule.minutes) || rule.minutes < 1) {
+        errors.push(`${label}: minutes must be a positive integer`);
+      }
+      break;
+    case 'genAppName':
+      if (typeof rule.formatString !== 'string' || rule.formatString.trim() === '') {
+        errors.push(`${label}: formatString must be a non-empty string`);
+      }
+      break;
+  }
+}
+
+// Returns { errors, warnings }. Errors are rules ODAG would reject or that contradict
+// each other (the same context twice); warnings are overlapping wildcard patterns
+// where it is not obvious which rule a user falls under.
+export function validateContextRules(options) {
+  const errors = [];
+  const warnings = [];
+
+  for (const property of RULE_PROPERTIES) {
+    const rules = options[property];
+    if (rules === undefined || rules === null) continue;
+
+    if (!Array.isArray(rules) || rules.length === 0) {
+      errors.push(`${property} must be a non-empty array of rules`);
+      continue;
+    }
+
+    const seen = new Map();
+    rules.forEach((rule, index) => {
+      const label = `${property}[${index}]`;
+
+      if (!rule || typeof rule !== 'object') {
+        errors.push(`${label}: rule must be an object`);
+        return;
+      }
+      if (typeof rule.context !== 'string' || !CONTEXT_PATTERN.test(rule.context)) {
+        errors.push(`${label}: invalid context "${rule.context}" - expected "User_*" or "User_<directory>\\<userId>" (with optional * wildcards)`);
+        return;
+      }
+
+      validateRuleValues(property, rule, label, errors);
+
+      const key = rule.context.toLowerCase();
+      if (seen.has(key)) {
+        errors.push(`${label}: context "${rule.context}" is already defined by ${property}[${seen.get(key)}]`);
+        return;
+      }
+
+      for (const [otherKey, otherIndex] of seen) {
+        const other = rules[otherIndex].context;
+        if (!isCatchAll(rule.context) && !isCatchAll(other) && contextsOverlap(key, otherKey)) {
+          warnings.push(`${label}: context "${rule.context}" overlaps with ${property}[${otherIndex}] "${other}"`);
+        }
+      }
+      seen.set(key, index);
+    });
+  }
+
+  return { errors, warnings };
+}
+
+function contextMatches(context, userContext) {
+  const pattern = context.toLowerCase().split('*')
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${pattern}$`).test(userContext);
+}
+
+// How specific a context is: the length of its literal text before the first
+// wildcard, then the number of wildcards (fewer is more specific)
+function compareSpecificity(a, b) {
+  const prefixDifference = literalPrefix(b).length - literalPrefix(a).length;
+  if (prefixDifference !== 0) return prefixDifference;
+  return a.split('*').length - b.split('*').length;
+}
+
+// Returns the most specific rule that matches the user (an exact context beats
+// "User_DOMAIN\*", which beats the "User_*" catch-all), or null when none matches.
+export function findContextRule(rules, userDirectory, userId) {
+  const userContext = `User_${userDirectory}\\${userId}`.toLowerCase();
+  const matching = (rules || []).filter(rule =>
+    rule && typeof rule.context === 'string' && contextMatches(rule.context, userContext)
+  );
+  return matching.sort((a, b) => compareSpecificity(a.context, b.context))[0] || null;
+}
@@ -0,0 +1,242 @@
+// engine-session.js - JSON-RPC client for the Qlik Sense Engine API over a single WebSocket
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+
+// Correlates request ids to promises, tracks the object handles the Engine hands out
+// and surfaces change/close notifications. Emits:
+//   'notification' (method, params) - Engine-initiated messages such as OnConnected
+//   'change' (handles)              - objects whose layout changed
+//   'handleClosed' (handles)        - handles the Engine closed; calls on them will fail
+//   'closed' (code, reason)         - the socket was closed
+export class EngineSession extends EventEmitter {
+  constructor(url, wsOptions = {}, options = {}) {
+    super();
+    this.url = url;
+    this.wsOptions = wsOptions;
+    this.callTimeout = options.callTimeout || 30000;
+    this.connectTimeout = options.connectTimeout || 15000;
+
+    this.ws = null;
+    this.requestId = 1;
+    this.pending = new Map();
+    this.handles = new Map([[-1, { type: 'Global' }]]);
+    this.closed = false;
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      console.log(`Opening WebSocket connection to: ${this.url}`);
+
+      this.ws = new WebSocket(this.url, this.wsOptions);
+
+      const connectionTimeout = setTimeout(() => {
+        this.ws.terminate();
+        reject(new Error('WebSocket connection timeout'));
+      }, this.connectTimeout);
+
+      this.ws.on('open', () => {
+        clearTimeout(connectionTimeout);
+        console.log('WebSocket connection established');
+        resolve(this);
+      });
+
+      this.ws.on('message', (data) => this.handleMessage(data));
+
+      this.ws.on('error', (error) => {
+        clearTimeout(connectionTimeout);
+        console.error('WebSocket error:', error.message);
+        this.failPending(new Error(`WebSocket error: ${error.message}`));
+        reject(new Error(`WebSocket error: ${error.message}`));
+      });
+
+      this.ws.on('close', (code, reason) => {
+        clearTimeout(connectionTimeout);
+        this.closed = true;
+        if (code !== 1000 && code !== 1005) {
+          console.error(`WebSocket closed with code ${code}: ${reason}`);
+        }
+        this.failPending(new Error(`WebSocket closed with code ${code}: ${reason}`));
+        this.handles.clear();
+        this.emit('closed', code, String(reason));
+        reject(new Error(`WebSocket closed with code ${code}: ${reason}`));
+      });
+    });
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      console.error('Failed to parse WebSocket response:', error.message);
+      return;
+    }
+
+    if (message.change && message.change.length > 0) {
+      this.emit('change', message.change);
+    }
+
+    if (message.close && message.close.length > 0) {
+      for (const handle of message.close) {
+        this.handles.delete(handle);
+      }
+      this.emit('handleClosed', message.close);
+    }
+
+    if (message.id === undefined) {
+      if (message.method) {
+        this.emit('notification', message.method, message.params);
+      }
+      return;
+    }
+
+    const request = this.pending.get(message.id);
+    if (!request) return;
+
+    this.pending.delete(message.id);
+    clearTimeout(request.timer);
+
+    if (message.error) {
+      console.error(`WebSocket error in ${request.method}:`, message.error);
+      const error = new Error(`WebSocket error: ${message.error.message}`);
+      error.code = message.error.code;
+      error.method = request.method;
+      request.reject(error);
+      return;
+    }
+
+    const result = message.result || {};
+    if (result.qReturn && result.qReturn.qHandle !== undefined && result.qReturn.qHandle !== null) {
+      this.handles.set(result.qReturn.qHandle, { type: result.qReturn.qType, id: result.qReturn.qGenericId });
+    }
+    request.resolve(result);
+  }
+
+  failPending(error) {
+    for (const request of this.pending.values()) {
+      clearTimeout(request.timer);
+      request.reject(error);
+    }
+    this.pending.clear();
+  }
+
+  call(handle, method, params = [], options = {}) {
+    if (this.closed || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      return Promise.reject(new Error(`Cannot call ${method}: Engine session is not open`));
+    }
+    if (!this.handles.has(handle)) {
+      return Promise.reject(new Error(`Cannot call ${method}: handle ${handle} is closed`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = this.requestId++;
+      const timeout = options.timeout || this.callTimeout;
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Engine call ${method} timed out after ${timeout}ms`));
+      }, timeout);
+
+      this.pending.set(id, { resolve, reject, method, timer });
+      this.ws.send(JSON.stringify({ jsonrpc: '2.0', id, handle, method, params }));
+    });
+  }
+
+  close() {
+    if (this.ws && !this.closed) {
+      this.closed = true;
+      this.ws.close();
+    }
+  }
+
+  // Global helpers
+
+  async openDoc(appId, { noData = false } = {}) {
+    const params = noData ? [appId, '', '', '', true] : [appId];
+    const result = await this.call(-1, 'OpenDoc', params);
+    return result.qReturn.qHandle;
+  }
+
+  // App helpers
+
+  async getAppLayout(appHandle) {
+    return (await this.call(appHandle, 'GetAppLayout')).qLayout;
+  }
+
+  async getScript(appHandle) {
+    return (await this.call(appHandle, 'GetScript')).qScript || '';
+  }
+
+  async getObjects(appHandle, types) {
+    return (await this.call(appHandle, 'GetObjects', [{ qTypes: types }])).qList || [];
+  }
+
+  async getObject(appHandle, objectId) {
+    return (await this.call(appHandle, 'GetObject', [objectId])).qReturn.qHandle;
+  }
+
+  async createObject(appHandle, properties) {
+    return (await this.call(appHandle, 'CreateObject', [properties])).qReturn.qHandle;
+  }
+
+  async createSessionObject(appHandle, properties) {
+    return (await this.call(appHandle, 'CreateSessionObject', [properties])).qReturn.qHandle;
+  }
+
+  async destroyObject(appHandle, objectId) {
+    return (await this.call(appHandle, 'DestroyObject', [objectId])).qSuccess;
+  }
+
+  async doSave(appHandle) {
+    return this.call(appHandle, 'DoSave');
+  }
+
+  async clearAll(appHandle, lockedAlso = false) {
+    return this.call(appHandle, 'ClearAll', [lockedAlso]);
+  }
+
+  async checkExpression(appHandle, expression) {
+    return this.call(appHandle, 'CheckExpression', [expression]);
+  }
+
+  async getField(appHandle, fieldName) {
+    return (await this.call(appHandle, 'GetField', [fieldName])).qReturn.qHandle;
+  }
+
+  async evaluateEx(appHandle, expression) {
+    return (await this.call(appHandle, 'EvaluateEx', [expression])).qValue || {};
+  }
+
+  // Field helpers
+
+  async selectValues(fieldHandle, values, toggle = false) {
+    return (await this.call(fieldHandle, 'SelectValues', [values, toggle, false])).qReturn;
+  }
+
+  // Generic object helpers
+
+  async getLayout(objectHandle) {
+    return (await this.call(objectHandle, 'GetLayout')).qLayout;
+  }
+
+  async getParent(objectHandle) {
+    return (await this.call(objectHandle, 'GetParent')).qReturn.qHandle;
+  }
+
+  // Returns the handle and id of the new child object
+  async createChild(objectHandle, properties) {
+    const result = await this.call(objectHandle, 'CreateChild', [properties]);
+    return { handle: result.qReturn.qHandle, id: result.qInfo.qId };
+  }
+
+  async destroyChild(objectHandle, childId) {
+    return (await this.call(objectHandle, 'DestroyChild', [childId])).qSuccess;
+  }
+
+  async getProperties(objectHandle) {
+    return (await this.call(objectHandle, 'GetProperties')).qProp;
+  }
+
+  async setProperties(objectHandle, properties) {
+    return this.call(objectHandle, 'SetProperties', [properties]);
+  }
+}
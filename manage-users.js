@@ -0,0 +1,115 @@
+// manage-users.js - Maintains the local user store and creates API keys
+//
+//   node manage-users.js add <username> [--qlik-user DOMAIN\userId] [--groups a,b]
+//     (the password is prompted for, or read from the first line of stdin when piped)
+//   node manage-users.js remove <username>
+//   node manage-users.js list
+//   node manage-users.js api-key <name>
+import fs from 'fs';
+import readline from 'readline';
+import { config } from './config.js';
+import { hashPassword, hashApiKey, generateApiKey } from './auth.js';
+
+const usersFile = config.auth?.usersFile || 'users.json';
+
+function readUsers() {
+  return fs.existsSync(usersFile) ? JSON.parse(fs.readFileSync(usersFile, 'utf8')).users || [] : [];
+}
+
+function writeUsers(users) {
+  fs.writeFileSync(usersFile, JSON.stringify({ users }, null, 2) + '\n', { mode: 0o600 });
+}
+
+function option(args, name) {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+// Kept out of argv, where it would end up in the shell history and in ps output
+async function readPassword() {
+  if (!process.stdin.isTTY) {
+    const lines = readline.createInterface({ input: process.stdin });
+    for await (const line of lines) {
+      lines.close();
+      return line;
+    }
+    return '';
+  }
+
+  const prompt = (question) => new Promise(resolve => {
+    const input = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    input._writeToOutput = (text) => {
+      if (text.startsWith(question)) input.output.write(question);
+    };
+    input.question(question, answer => {
+      input.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+
+  const password = await prompt('Password: ');
+  if (password !== await prompt('Repeat password: ')) {
+    console.error('Passwords do not match');
+    process.exit(1);
+  }
+  return password;
+}
+
+const [command, name, ...rest] = process.argv.slice(2);
+
+switch (command) {
+  case 'add': {
+    if (!name || name.startsWith('--') || (rest[0] && !rest[0].startsWith('--'))) {
+      console.error('Usage: node manage-users.js add <username> [--qlik-user DOMAIN\\userId] [--groups a,b]');
+      process.exit(1);
+    }
+    const password = await readPassword();
+    if (!password) {
+      console.error('A password is required');
+      process.exit(1);
+    }
+    const groups = option(rest, '--groups');
+    const user = {
+      username: name,
+      passwordHash: hashPassword(password),
+      qlikUser: option(rest, '--qlik-user') || undefined,
+      groups: groups ? groups.split(',').map(group => group.trim()).filter(Boolean) : []
+    };
+    const users = readUsers().filter(existing => existing.username.toLowerCase() !== name.toLowerCase());
+    writeUsers([...users, user]);
+    console.log(`Saved user ${name} to ${usersFile}`);
+    break;
+  }
+  case 'remove': {
+    const users = readUsers();
+    const remaining = users.filter(existing => existing.username.toLowerCase() !== String(name).toLowerCase());
+    if (remaining.length === users.length) {
+      console.error(`User not found: ${name}`);
+      process.exit(1);
+    }
+    writeUsers(remaining);
+    console.log(`Removed user ${name} from ${usersFile}`);
+    break;
+  }
+  case 'list':
+    for (const user of readUsers()) {
+      console.log(`${user.username}${user.qlikUser ? ` (${user.qlikUser})` : ''}${user.groups?.length ? ` [${user.groups.join(', ')}]` : ''}${user.disabled ? ' - disabled' : ''}`);
+    }
+    break;
+  case 'api-key': {
+    if (!name) {
+      console.error('Usage: node manage-users.js api-key <name>');
+      process.exit(1);
+    }
+    const key = generateApiKey();
+    console.log(`API key for ${name} (shown once, give it to the caller):`);
+    console.log(`  ${key}`);
+    console.log('Add this entry to auth.apiKeys in config.js:');
+    console.log(`  { name: '${name}', keyHash: '${hashApiKey(key)}', user: 'DOMAIN\\\\userId', groups: [] }`);
+    break;
+  }
+  default:
+    console.error('Usage: node manage-users.js add|remove|list|api-key ...');
+    process.exit(1);
+}
@@ -0,0 +1,180 @@
+// manifest.js - Parsing of ODAG link manifests (CSV, JSON or YAML) into link options
+import YAML from 'yaml';
+
+const ROW_FIELDS = [
+  'linkName',
+  'selectionAppId',
+  'templateAppId',
+  'selectionAppName',
+  'selectionAppStream',
+  'templateAppName',
+  'templateAppStream',
+  'rowEstExpr',
+  'description',
+  'minRowCount',
+  'maxRowCount',
+  'retentionDays',
+  'genAppName'
+];
+
+export function parseCSV(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Invalid CSV: unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+
+  const headers = nonEmpty[0].map(header => header.trim());
+  return nonEmpty.slice(1).map(values => {
+    const record = {};
+    headers.forEach((header, index) => {
+      const value = (values[index] || '').trim();
+      if (header && value !== '') {
+        record[header] = value;
+      }
+    });
+    return record;
+  });
+}
+
+export function parseManifest(content, format) {
+  const detected = format || (content.trim().startsWith('[') || content.trim().startsWith('{') ? 'json' : 'csv');
+
+  switch (detected) {
+    case 'json':
+    case 'yaml':
+    case 'yml': {
+      const label = detected === 'json' ? 'JSON' : 'YAML';
+      let parsed;
+      try {
+        parsed = detected === 'json' ? JSON.parse(content) : YAML.parse(content);
+      } catch (error) {
+        throw new Error(`Invalid ${label} manifest: ${error.message}`);
+      }
+      const rows = Array.isArray(parsed) ? parsed : parsed && parsed.links;
+      if (!Array.isArray(rows)) {
+        throw new Error(`Invalid ${label} manifest: expected an array of links or an object with a "links" array`);
+      }
+      return rows;
+    }
+    case 'csv':
+      return parseCSV(content);
+    default:
+      throw new Error(`Unsupported manifest format: ${format}`);
+  }
+}
+
+// The highBound a link gets when only minRowCount is given (the createODAGLink default)
+const DEFAULT_MAX_ROW_COUNT = 500000;
+
+function toPositiveNumber(row, field, { allowZero = false } = {}) {
+  if (row[field] === undefined || row[field] === null || row[field] === '') {
+    return undefined;
+  }
+  const value = Number(row[field]);
+  if (!Number.isFinite(value) || value < 0 || (value === 0 && !allowZero)) {
+    throw new Error(`${field} must be a ${allowZero ? 'non-negative' : 'positive'} number (got "${row[field]}")`);
+  }
+  return value;
+}
+
+// Accepts either the flat columns used by the web form (maxRowCount, retentionDays,
+// genAppName as a string) or the full rule arrays accepted by createODAGLink.
+export function manifestRowToLinkOptions(row) {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    throw new Error('Manifest row must be an object');
+  }
+
+  const unknown = Object.keys(row).filter(key =>
+    !ROW_FIELDS.includes(key) && !['rowEstRange', 'appRetentionTime'].includes(key)
+  );
+  if (unknown.length > 0) {
+    throw new Error(`Unknown field(s): ${unknown.join(', ')}`);
+  }
+
+  const options = {
+    linkName: row.linkName,
+    selectionAppId: row.selectionAppId,
+    templateAppId: row.templateAppId,
+    selectionAppName: row.selectionAppName,
+    selectionAppStream: row.selectionAppStream,
+    templateAppName: row.templateAppName,
+    templateAppStream: row.templateAppStream,
+    rowEstExpr: row.rowEstExpr,
+    description: row.description
+  };
+
+  const minRowCount = toPositiveNumber(row, 'minRowCount', { allowZero: true });
+  const maxRowCount = toPositiveNumber(row, 'maxRowCount');
+  const retentionDays = toPositiveNumber(row, 'retentionDays');
+
+  if (row.rowEstRange) {
+    if (minRowCount !== undefined || maxRowCount !== undefined) {
+      throw new Error('minRowCount and maxRowCount cannot be combined with rowEstRange');
+    }
+    options.rowEstRange = row.rowEstRange;
+  } else if (minRowCount !== undefined || maxRowCount !== undefined) {
+    const highBound = maxRowCount ?? DEFAULT_MAX_ROW_COUNT;
+    if (minRowCount !== undefined && minRowCount > highBound) {
+      throw new Error(maxRowCount === undefined
+        ? `minRowCount must not be greater than the default maxRowCount of ${DEFAULT_MAX_ROW_COUNT}`
+        : 'minRowCount must not be greater than maxRowCount');
+    }
+    options.rowEstRange = [{ context: 'User_*', lowBound: minRowCount ?? 1, highBound }];
+  }
+
+  if (row.appRetentionTime) {
+    options.appRetentionTime = row.appRetentionTime;
+  } else if (retentionDays) {
+    options.appRetentionTime = [{ context: 'User_*', minutes: Math.round(retentionDays * 24 * 60) }];
+  }
+
+  if (Array.isArray(row.genAppName)) {
+    options.genAppName = row.genAppName;
+  } else if (row.genAppName) {
+    options.genAppName = [{ context: 'User_*', formatString: row.genAppName }];
+  }
+
+  return options;
+}
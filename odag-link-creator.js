@@ -1,16 +1,38 @@
 import fs from 'fs';
 import https from 'https';
 import axios from 'axios';
-import WebSocket from 'ws';
+import { EngineSession } from './engine-session.js';
 import { v4 as uuidv4 } from 'uuid';
 import { exec } from 'child_process';
 import express from 'express';
 
 // Import configuration from separate config file
 import { config } from './config.js';
+import { parseManifest, manifestRowToLinkOptions } from './manifest.js';
+import { validateContextRules, findContextRule } from './context-rules.js';
+import { AuditLog, MAX_QUERY_LIMIT, noAuditTrail, summarizeRequestBody } from './audit-log.js';
+import { Authenticator, SESSION_COOKIE } from './auth.js';
+import { Authorizer, allowAll, identityMatches } from './authorization.js';
+import { normalizeSheetPlacement, findPlacementConflict, DEFAULT_SHEET_COLUMNS, DEFAULT_SHEET_ROWS } from './sheet-layout.js';
+
+// Ways to add the navigation object when the selection app is published
+const PUBLISHED_APP_STRATEGIES = {
+  duplicate: 'Copy the published app, bind the link to the unpublished copy, add the navigation to it and leave publishing the copy to you',
+  republish: 'Copy the published app, add the navigation to the copy and replace the published app with it (app ID and stream stay the same)',
+  baseObject: 'Create the navigation object in the published app and publish and approve it as a base object (app navigation panel only)'
+};
+
+// ODAG request states that are still in progress and can be cancelled
+const ACTIVE_REQUEST_STATES = ['queued', 'validating', 'pending', 'generating', 'loading'];
+// ODAG request states a new request can be submitted for with the same selections
+const RETRYABLE_REQUEST_STATES = ['failed', 'canceled', 'cancelled'];
+// Qlik app IDs are GUIDs; anything else is refused before it reaches a QRS URL or filter
+const APP_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 class ODAGLinkCreator {
-  constructor(config) {
+  // Pass an existing httpsAgent to share its certificates and connection pool
+  // between instances for the same environment
+  constructor(config, httpsAgent = null) {
     this.config = {
       qlikHost: config.qlikHost || 'localhost',
       qrsPort: config.qrsPort || 4242,
@@ -23,7 +45,7 @@ class ODAGLinkCreator {
       ...config
     };
 
-    this.httpsAgent = new https.Agent({
+    this.httpsAgent = httpsAgent || new https.Agent({
       cert: fs.readFileSync(`${this.config.certsPath}/client.pem`),
       key: fs.readFileSync(`${this.config.certsPath}/client_key.pem`),
       ca: fs.readFileSync(`${this.config.certsPath}/root.pem`),
@@ -45,6 +67,7 @@ class ODAGLinkCreator {
     };
 
     this.authenticated = false;
+    this.openEngineApps = new Map();
   }
 
   generateXrfKey() {
@@ -56,13 +79,21 @@ class ODAGLinkCreator {
     return result;
   }
 
+  getQrsBaseUrl() {
+    return this.config.virtualProxy
+      ? `https://${this.config.qlikHost}:${this.config.qrsPort}/${this.config.virtualProxy}`
+      : `https://${this.config.qlikHost}:${this.config.qrsPort}`;
+  }
+
+  getODAGBaseUrl() {
+    return `https://${this.config.qlikHost}:${this.config.odagPort}/v1`;
+  }
+
   async authenticate() {
     try {
       console.log('Performing initial authentication...');
       
-      const baseUrl = this.config.virtualProxy 
-        ? `https://${this.config.qlikHost}:${this.config.qrsPort}/${this.config.virtualProxy}`
-        : `https://${this.config.qlikHost}:${this.config.qrsPort}`;
+      const baseUrl = this.getQrsBaseUrl();
       
       const authUrl = `${baseUrl}/qrs/about?xrfkey=${this.xrfKey}`;
       
@@ -88,15 +119,25 @@ class ODAGLinkCreator {
     }
   }
 
+  ensureAppId(appId) {
+    if (typeof appId !== 'string' || !APP_ID_PATTERN.test(appId)) {
+      throw new Error(`Invalid app ID "${appId}" - expected a GUID`);
+    }
+  }
+
   async validateAppId(appId) {
+    try {
+      this.ensureAppId(appId);
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+
     try {
       await this.ensureAuthenticated();
       
-      const baseUrl = this.config.virtualProxy 
-        ? `https://${this.config.qlikHost}:${this.config.qrsPort}/${this.config.virtualProxy}`
-        : `https://${this.config.qlikHost}:${this.config.qrsPort}`;
+      const baseUrl = this.getQrsBaseUrl();
       
-      const url = `${baseUrl}/qrs/app/${appId}?xrfkey=${this.xrfKey}`;
+      const url = `${baseUrl}/qrs/app/${appId}?privileges=true&xrfkey=${this.xrfKey}`;
       
       console.log(`Validating app ID: ${appId}`);
       const response = await axios.get(url, this.axiosConfig);
@@ -107,12 +148,22 @@ class ODAGLinkCreator {
           valid: true,
           name: response.data.name,
           id: response.data.id,
-          published: response.data.published
+          published: response.data.published,
+          stream: response.data.stream ? response.data.stream.name : null,
+          privileges: response.data.privileges || null
         };
       } else {
         throw new Error(`App not found: ${appId}`);
       }
     } catch (error) {
+      // Security rules hide apps the user can't read, so a 404 can also mean no access
+      if (error.response && [403, 404].includes(error.response.status) && this.config.impersonatedUser) {
+        console.log(`App ID ${appId} not found or not accessible to ${this.config.impersonatedUser}`);
+        return {
+          valid: false,
+          error: `App ID not found or not accessible to ${this.config.impersonatedUser}: ${appId}`
+        };
+      }
       if (error.response && error.response.status === 404) {
         console.log(`App ID not found: ${appId}`);
         return {
@@ -125,11 +176,222 @@ class ODAGLinkCreator {
     }
   }
 
+  buildODAGPayload(linkConfig) {
+    return {
+      name: linkConfig.name,
+      selectionApp: linkConfig.selectionAppId,
+      templateApp: linkConfig.templateAppId,
+      rowEstExpr: linkConfig.rowEstExpr,
+      properties: {
+        rowEstRange: linkConfig.rowEstRange || [{ 
+          context: 'User_*', 
+          lowBound: 1, 
+          highBound: 500000 
+        }],
+        appRetentionTime: linkConfig.appRetentionTime || [{ 
+          context: 'User_*', 
+          minutes: 10080
+        }],
+        genAppName: linkConfig.genAppName || [{ 
+          context: 'User_*', 
+          formatString: `${linkConfig.name} - $(user.name) - $(=Now())` 
+        }]
+      }
+    };
+  }
+
+  qrsString(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
+  }
+
+  formatApp(app) {
+    return {
+      id: app.id,
+      name: app.name,
+      stream: app.stream ? app.stream.name : null,
+      streamId: app.stream ? app.stream.id : null,
+      owner: app.owner ? `${app.owner.userDirectory}\\${app.owner.userId}` : null,
+      ownerName: app.owner ? app.owner.name : null,
+      published: Boolean(app.published),
+      publishTime: app.published ? app.publishTime : null,
+      lastReloadTime: app.lastReloadTime || null,
+      createdDate: app.createdDate || null,
+      fileSize: app.fileSize ?? null
+    };
+  }
+
+  async searchApps({ query, stream, limit = 50 } = {}) {
+    try {
+      await this.ensureAuthenticated();
+
+      const filters = [];
+      if (query) {
+        filters.push(`name so ${this.qrsString(query)}`);
+      }
+      if (stream) {
+        filters.push(`stream.name so ${this.qrsString(stream)}`);
+      }
+
+      const take = Number.isInteger(limit) && limit > 0 ? Math.min(limit, 500) : 50;
+      const filter = filters.length > 0 ? `filter=${encodeURIComponent(filters.join(' and '))}&` : '';
+      const url = `${this.getQrsBaseUrl()}/qrs/app/full?${filter}orderby=name&take=${take}&xrfkey=${this.xrfKey}`;
+
+      console.log(`Searching apps: query="${query || ''}" stream="${stream || ''}"`);
+      const response = await axios.get(url, this.axiosConfig);
+
+      return (response.data || []).slice(0, take).map(app => this.formatApp(app));
+    } catch (error) {
+      console.error('App search failed:', error.message);
+      throw new Error(`App search failed: ${error.message}`);
+    }
+  }
+
+  async getApp(appId) {
+    this.ensureAppId(appId);
+    await this.ensureAuthenticated();
+
+    const url = `${this.getQrsBaseUrl()}/qrs/app/full?filter=${encodeURIComponent(`id eq ${appId}`)}&xrfkey=${this.xrfKey}`;
+    const response = await axios.get(url, this.axiosConfig);
+
+    if (!response.data || response.data.length === 0) {
+      throw new Error(`App not found: ${appId}`);
+    }
+    return this.formatApp(response.data[0]);
+  }
+
+  // QRS answers errors with a JSON body or plain text; either way it becomes a readable message
+  qrsErrorDetail(error) {
+    const data = error.response?.data;
+    if (!data) {
+      return error.message;
+    }
+    if (typeof data === 'string') {
+      return data;
+    }
+    return data.message || JSON.stringify(data);
+  }
+
+  async copyApp(appId, name) {
+    await this.ensureAuthenticated();
+
+    const url = `${this.getQrsBaseUrl()}/qrs/app/${appId}/copy?name=${encodeURIComponent(name)}&xrfkey=${this.xrfKey}`;
+    try {
+      const response = await axios.post(url, null, this.axiosConfig);
+      console.log(`Copied app ${appId} to ${response.data.id}`);
+      return response.data.id;
+    } catch (error) {
+      throw new Error(`Failed to copy app ${appId}: ${this.qrsErrorDetail(error)}`);
+    }
+  }
+
+  // Overwrites the published target app with the content of the source app; the
+  // target keeps its ID, stream and generated ODAG apps
+  async replaceApp(sourceAppId, targetAppId) {
+    await this.ensureAuthenticated();
+
+    const url = `${this.getQrsBaseUrl()}/qrs/app/${sourceAppId}/replace?app=${targetAppId}&xrfkey=${this.xrfKey}`;
+    try {
+      await axios.put(url, null, this.axiosConfig);
+      console.log(`Replaced app ${targetAppId} with ${sourceAppId}`);
+    } catch (error) {
+      throw new Error(`Failed to replace app ${targetAppId}: ${this.qrsErrorDetail(error)}`);
+    }
+  }
+
+  async deleteApp(appId) {
+    await this.ensureAuthenticated();
+
+    const url = `${this.getQrsBaseUrl()}/qrs/app/${appId}?xrfkey=${this.xrfKey}`;
+    try {
+      await axios.delete(url, this.axiosConfig);
+      console.log(`Deleted app ${appId}`);
+    } catch (error) {
+      throw new Error(`Failed to delete app ${appId}: ${this.qrsErrorDetail(error)}`);
+    }
+  }
+
+  // Publishes and approves an app object so it becomes part of the published app
+  // for every user. The repository learns about Engine-created objects with a delay,
+  // so the lookup by engineObjectId is retried a few times.
+  async promoteToBaseObject(appId, engineObjectId) {
+    await this.ensureAuthenticated();
+
+    const filter = encodeURIComponent(`app.id eq ${appId} and engineObjectId eq ${this.qrsString(engineObjectId)}`);
+    const url = `${this.getQrsBaseUrl()}/qrs/app/object?filter=${filter}&xrfkey=${this.xrfKey}`;
+
+    let object = null;
+    for (let attempt = 0; attempt < 5 && !object; attempt++) {
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+      const response = await axios.get(url, this.axiosConfig);
+      object = (response.data || [])[0] || null;
+    }
+    if (!object) {
+      throw new Error(`App object ${engineObjectId} was not found in the repository`);
+    }
+
+    try {
+      await axios.put(`${this.getQrsBaseUrl()}/qrs/app/object/${object.id}/publish?xrfkey=${this.xrfKey}`, null, this.axiosConfig);
+      await axios.put(`${this.getQrsBaseUrl()}/qrs/app/object/${object.id}/approve?xrfkey=${this.xrfKey}`, null, this.axiosConfig);
+      console.log(`App object ${engineObjectId} published and approved as a base object`);
+    } catch (error) {
+      throw new Error(`Failed to publish and approve app object ${engineObjectId}: ${this.qrsErrorDetail(error)}`);
+    }
+  }
+
+  async getAppIdByName(appName, streamName) {
+    await this.ensureAuthenticated();
+
+    const filters = [`name eq ${this.qrsString(appName)}`];
+    if (streamName) {
+      filters.push(`stream.name eq ${this.qrsString(streamName)}`);
+    }
+
+    const url = `${this.getQrsBaseUrl()}/qrs/app/full?filter=${encodeURIComponent(filters.join(' and '))}&xrfkey=${this.xrfKey}`;
+
+    let apps;
+    try {
+      const response = await axios.get(url, this.axiosConfig);
+      apps = (response.data || []).map(app => this.formatApp(app));
+    } catch (error) {
+      throw new Error(`Failed to get app ID for ${appName}: ${error.message}`);
+    }
+
+    const label = streamName ? `${appName} (stream: ${streamName})` : appName;
+    if (apps.length === 0) {
+      throw new Error(`App not found: ${label}`);
+    }
+    if (apps.length > 1) {
+      const candidates = apps.map(app => `${app.id} (${app.stream || 'unpublished'}, owner ${app.owner})`).join(', ');
+      throw new Error(`App name "${label}" is ambiguous - ${apps.length} apps match: ${candidates}. Pass the app ID or a stream name instead.`);
+    }
+
+    console.log(`Resolved app name "${label}" to ${apps[0].id}`);
+    return apps[0].id;
+  }
+
+  // Lets API callers pass selectionAppName/templateAppName (optionally narrowed with
+  // selectionAppStream/templateAppStream) instead of GUIDs.
+  async resolveAppNames(options) {
+    const resolved = { ...options };
+
+    for (const role of ['selection', 'template']) {
+      const idField = `${role}AppId`;
+      const nameField = `${role}AppName`;
+      if (!resolved[idField] && resolved[nameField]) {
+        resolved[idField] = await this.getAppIdByName(resolved[nameField], resolved[`${role}AppStream`]);
+      }
+    }
+
+    return resolved;
+  }
+
   async createODAGLink(linkConfig) {
     try {
       await this.ensureAuthenticated();
       
-      const url = `https://${this.config.qlikHost}:${this.config.odagPort}/v1/links?xrfkey=${this.xrfKey}`;
+      const url = `${this.getODAGBaseUrl()}/links?xrfkey=${this.xrfKey}`;
       
       console.log(`Creating ODAG link: ${linkConfig.name}`);
       console.log(`Selection App: ${linkConfig.selectionAppId}`);
@@ -137,27 +399,7 @@ class ODAGLinkCreator {
       console.log(`Row Estimation Expression: ${linkConfig.rowEstExpr}`);
       console.log(`URL: ${url}`);
       
-      const odagPayload = {
-        name: linkConfig.name,
-        selectionApp: linkConfig.selectionAppId,
-        templateApp: linkConfig.templateAppId,
-        rowEstExpr: linkConfig.rowEstExpr,
-        properties: {
-          rowEstRange: linkConfig.rowEstRange || [{ 
-            context: 'User_*', 
-            lowBound: 1, 
-            highBound: 500000 
-          }],
-          appRetentionTime: linkConfig.appRetentionTime || [{ 
-            context: 'User_*', 
-            minutes: 10080
-          }],
-          genAppName: linkConfig.genAppName || [{ 
-            context: 'User_*', 
-            formatString: `${linkConfig.name} - $(user.name) - $(=Now())` 
-          }]
-        }
-      };
+      const odagPayload = this.buildODAGPayload(linkConfig);
 
       console.log('ODAG Payload:', JSON.stringify(odagPayload, null, 2));
 
@@ -174,300 +416,2494 @@ class ODAGLinkCreator {
       }
     } catch (error) {
       console.error('ODAG link creation failed:', error.response?.data || error.message);
+      throw this.describeODAGError(error, 'Failed to create ODAG link');
+    }
+  }
+
+  async removeODAGLink(linkId) {
+    try {
+      await this.ensureAuthenticated();
       
-      if (error.response) {
-        const status = error.response.status;
-        const data = error.response.data;
-        
-        switch (status) {
-          case 400:
-            throw new Error(`Bad Request: ${data?.message || 'Invalid ODAG configuration'}`);
-          case 401:
-            throw new Error('Unauthorized: Please check your authentication credentials');
-          case 403:
-            throw new Error('Forbidden: User may not have ODAG permissions');
-          case 404:
-            throw new Error('Not Found: ODAG service may not be running on port 9098');
-          case 405:
-            throw new Error('Method Not Allowed: Check ODAG service configuration and URL path');
-          case 500:
-            throw new Error(`Server Error: ${data?.message || 'Internal server error'}`);
-          default:
-            throw new Error(`HTTP ${status}: ${data?.message || error.message}`);
-        }
-      }
+      const url = `${this.getODAGBaseUrl()}/links/${linkId}?xrfkey=${this.xrfKey}`;
       
-      throw new Error(`Failed to create ODAG link: ${error.message}`);
+      console.log(`Deleting ODAG link: ${linkId}`);
+      await axios.delete(url, this.axiosConfig);
+      console.log(`ODAG link deleted successfully: ${linkId}`);
+    } catch (error) {
+      console.error(`ODAG link deletion failed for ${linkId}:`, error.response?.data || error.message);
+      throw this.describeODAGError(error, 'Failed to delete ODAG link', `ODAG link not found: ${linkId}`);
     }
   }
 
-  async addNavigationLinkToApp(selectionAppId, odagLinkId, linkName, description = '') {
-    return new Promise((resolve, reject) => {
-      const wsUrl = this.config.virtualProxy
-        ? `wss://${this.config.qlikHost}:${this.config.enginePort}/${this.config.virtualProxy}/app/${selectionAppId}`
-        : `wss://${this.config.qlikHost}:${this.config.enginePort}/app/${selectionAppId}`;
-      
-      console.log(`Opening WebSocket connection to: ${wsUrl}`);
+  async deleteGeneratedApps(linkId) {
+    try {
+      await this.ensureAuthenticated();
       
-      const ws = new WebSocket(wsUrl, {
-        headers: {
-          'X-Qlik-Xrfkey': this.xrfKey,
-          'X-Qlik-User': `UserDirectory=${this.config.userDirectory}; UserId=${this.config.userId}`
-        },
-        agent: this.httpsAgent,
-        handshakeTimeout: 10000
-      });
+      const url = `${this.getODAGBaseUrl()}/links/${linkId}/requests?xrfkey=${this.xrfKey}`;
+      const response = await axios.get(url, this.axiosConfig);
+      const requests = (Array.isArray(response.data) ? response.data : [])
+        .filter(request => request.generatedApp);
 
-      let requestId = 1;
-      const requests = new Map();
-      let appHandle = null;
+      // One app that can't be deleted doesn't stop the others
+      const deleted = [];
+      const failed = [];
+      for (const request of requests) {
+        const appId = typeof request.generatedApp === 'object' ? request.generatedApp.id : request.generatedApp;
+        try {
+          console.log(`Deleting generated app ${appId} (request ${request.id})`);
+          await axios.delete(`${this.getODAGBaseUrl()}/requests/${request.id}/app?xrfkey=${this.xrfKey}`, this.axiosConfig);
+          deleted.push(appId);
+        } catch (appError) {
+          console.error(`Failed to delete generated app ${appId} (request ${request.id}):`, appError.response?.data || appError.message);
+          failed.push({ appId, requestId: request.id, error: this.describeODAGError(appError, 'Failed to delete generated app', `Generated app not found: ${appId}`).message });
+        }
+      }
 
-      const connectionTimeout = setTimeout(() => {
-        ws.close();
-        reject(new Error('WebSocket connection timeout'));
-      }, 15000);
+      return { deleted, failed };
+    } catch (error) {
+      console.error(`Failed to delete generated apps for ${linkId}:`, error.response?.data || error.message);
+      throw this.describeODAGError(error, 'Failed to delete generated apps', `ODAG link not found: ${linkId}`);
+    }
+  }
 
-      ws.on('open', () => {
-        clearTimeout(connectionTimeout);
-        console.log('WebSocket connection established');
-        
-        const openAppRequest = {
-          handle: -1,
-          method: 'OpenDoc',
-          params: [selectionAppId],
-          jsonrpc: '2.0',
-          id: requestId
-        };
+  describeODAGError(error, fallbackMessage, notFoundMessage = `Not Found: ODAG service may not be running on port ${this.config.odagPort}`) {
+    if (error.response) {
+      const status = error.response.status;
+      const data = error.response.data;
+      
+      switch (status) {
+        case 400:
+          return new Error(`Bad Request: ${data?.message || 'Invalid ODAG configuration'}`);
+        case 401:
+          return new Error('Unauthorized: Please check your authentication credentials');
+        case 403:
+          return new Error('Forbidden: User may not have ODAG permissions');
+        case 404:
+          // Flagged so routes can answer 404 for a missing link or request
+          return Object.assign(new Error(notFoundMessage), { notFound: true });
+        case 405:
+          return new Error('Method Not Allowed: Check ODAG service configuration and URL path');
+        case 500:
+          return new Error(`Server Error: ${data?.message || 'Internal server error'}`);
+        default:
+          return new Error(`HTTP ${status}: ${data?.message || error.message}`);
+      }
+    }
+    
+    return new Error(`${fallbackMessage}: ${error.message}`);
+  }
 
-        console.log('Opening app...');
-        requests.set(requestId, 'openApp');
-        ws.send(JSON.stringify(openAppRequest));
-        requestId++;
-      });
+  normalizeODAGLink(rawLink) {
+    const link = rawLink.objectDef || rawLink;
+    const properties = link.properties || {};
+    const appRef = (app) => (app && typeof app === 'object' ? app.id : app) || null;
+    const appName = (app) => (app && typeof app === 'object' ? app.name : null) || null;
 
-      ws.on('message', (data) => {
-        try {
-          const response = JSON.parse(data);
-          const requestType = requests.get(response.id);
-
-          if (response.error) {
-            console.error('WebSocket error:', response.error);
-            ws.close();
-            reject(new Error(`WebSocket error: ${response.error.message}`));
-            return;
-          }
+    return {
+      id: link.id,
+      name: link.name,
+      owner: link.owner ? `${link.owner.userDirectory}\\${link.owner.userId}` : null,
+      status: link.status || null,
+      selectionAppId: appRef(link.selectionApp),
+      selectionAppName: appName(link.selectionApp),
+      templateAppId: appRef(link.templateApp),
+      templateAppName: appName(link.templateApp),
+      rowEstExpr: link.rowEstExpr,
+      rowEstRange: properties.rowEstRange || [],
+      appRetentionTime: properties.appRetentionTime || [],
+      genAppName: properties.genAppName || [],
+      createdDate: link.createdDate || null,
+      modifiedDate: link.modifiedDate || null
+    };
+  }
 
-          switch (requestType) {
-            case 'openApp':
-              appHandle = response.result.qReturn.qHandle;
-              console.log(`App opened with handle: ${appHandle}`);
-              
-              const createObjectRequest = {
-                handle: appHandle,
-                method: 'CreateObject',
-                params: {
-                  qProp: {
-                    qInfo: {
-                      qType: 'odagapplink'
-                    },
-                    qMetaDef: {
-                      odagLinkRef: odagLinkId
-                    }
-                  }
-                },
-                jsonrpc: '2.0',
-                id: requestId
-              };
-
-              console.log('Creating ODAG app link object...');
-              requests.set(requestId, 'createObject');
-              ws.send(JSON.stringify(createObjectRequest));
-              requestId++;
-              break;
-
-            case 'createObject':
-              console.log('ODAG app link object created successfully');
-              
-              const saveRequest = {
-                handle: appHandle,
-                method: 'DoSave',
-                params: [],
-                jsonrpc: '2.0',
-                id: requestId
-              };
-
-              console.log('Saving app...');
-              requests.set(requestId, 'save');
-              ws.send(JSON.stringify(saveRequest));
-              requestId++;
-              break;
-
-            case 'save':
-              console.log('App saved successfully');
-              ws.close();
-              resolve('ODAG app link created and app saved');
-              break;
-          }
-        } catch (error) {
-          console.error('Failed to parse WebSocket response:', error.message);
-          ws.close();
-          reject(new Error(`Failed to parse WebSocket response: ${error.message}`));
-        }
-      });
+  async getAppNames(appIds) {
+    await this.ensureAuthenticated();
 
-      ws.on('error', (error) => {
-        clearTimeout(connectionTimeout);
-        console.error('WebSocket error:', error.message);
-        reject(new Error(`WebSocket error: ${error.message}`));
-      });
+    const apps = await this.getAppsById(appIds);
+    return new Map([...apps.values()].map(app => [app.id, app.name]));
+  }
 
-      ws.on('close', (code, reason) => {
-        clearTimeout(connectionTimeout);
-        if (code !== 1000) {
-          console.error(`WebSocket closed with code ${code}: ${reason}`);
-          reject(new Error(`WebSocket closed with code ${code}: ${reason}`));
-        }
-      });
-    });
+  async resolveLinkAppNames(links) {
+    const names = await this.getAppNames(
+      links.flatMap(link => [link.selectionAppId, link.templateAppId])
+    );
+
+    return links.map(link => ({
+      ...link,
+      selectionAppName: names.get(link.selectionAppId) || link.selectionAppName,
+      templateAppName: names.get(link.templateAppId) || link.templateAppName
+    }));
   }
 
-  async createCompleteODAGLink(options) {
+  async listODAGLinks(filters = {}) {
     try {
-      console.log('Starting ODAG link creation process...');
-      console.log('Authentication context:', `${this.config.userDirectory}\\${this.config.userId}`);
-
       await this.ensureAuthenticated();
-
-      const requiredFields = ['linkName', 'rowEstExpr'];
-      const hasAppIds = options.selectionAppId && options.templateAppId;
       
-      if (!hasAppIds) {
-        throw new Error('Missing required fields: selectionAppId and templateAppId are required');
-      }
+      const url = `${this.getODAGBaseUrl()}/links?xrfkey=${this.xrfKey}`;
       
-      for (const field of requiredFields) {
-        if (!options[field]) {
-          throw new Error(`Missing required field: ${field}`);
-        }
+      console.log('Listing ODAG links...');
+      const response = await axios.get(url, this.axiosConfig);
+      const rawLinks = Array.isArray(response.data) ? response.data : [];
+      
+      let links = await this.resolveLinkAppNames(rawLinks.map(link => this.normalizeODAGLink(link)));
+
+      const matches = (value, term) => (value || '').toLowerCase().includes(term.toLowerCase());
+      const matchesApp = (id, name, term) => id === term || matches(name, term);
+
+      if (filters.name) {
+        links = links.filter(link => matches(link.name, filters.name));
+      }
+      if (filters.selectionApp) {
+        links = links.filter(link => matchesApp(link.selectionAppId, link.selectionAppName, filters.selectionApp));
+      }
+      if (filters.templateApp) {
+        links = links.filter(link => matchesApp(link.templateAppId, link.templateAppName, filters.templateApp));
       }
 
-      console.log('Validating app IDs...');
-      const selectionAppValidation = await this.validateAppId(options.selectionAppId);
-      const templateAppValidation = await this.validateAppId(options.templateAppId);
+      console.log(`Found ${links.length} ODAG link(s)`);
+      return links;
+    } catch (error) {
+      console.error('Failed to list ODAG links:', error.response?.data || error.message);
+      throw this.describeODAGError(error, 'Failed to list ODAG links');
+    }
+  }
+
+  async getODAGLink(linkId) {
+    try {
+      await this.ensureAuthenticated();
       
-      if (!selectionAppValidation.valid) {
-        throw new Error(`Selection app validation failed: ${selectionAppValidation.error}`);
-      }
+      const url = `${this.getODAGBaseUrl()}/links/${linkId}?xrfkey=${this.xrfKey}`;
       
-      if (!templateAppValidation.valid) {
-        throw new Error(`Template app validation failed: ${templateAppValidation.error}`);
-      }
+      console.log(`Fetching ODAG link: ${linkId}`);
+      const response = await axios.get(url, this.axiosConfig);
+      const [link] = await this.resolveLinkAppNames([this.normalizeODAGLink(response.data)]);
       
-      console.log(`Selection App: ${selectionAppValidation.name} (${options.selectionAppId})`);
-      console.log(`Template App: ${templateAppValidation.name} (${options.templateAppId})`);
+      return link;
+    } catch (error) {
+      console.error(`Failed to fetch ODAG link ${linkId}:`, error.response?.data || error.message);
+      throw this.describeODAGError(error, `Failed to fetch ODAG link ${linkId}`, `ODAG link not found: ${linkId}`);
+    }
+  }
 
-      console.log('Creating ODAG link...');
-      const linkConfig = {
-        name: options.linkName,
-        selectionAppId: options.selectionAppId,
-        templateAppId: options.templateAppId,
-        rowEstExpr: options.rowEstExpr,
-        rowEstRange: options.rowEstRange,
-        appRetentionTime: options.appRetentionTime,
-        genAppName: options.genAppName
-      };
+  normalizeODAGRequest(rawRequest) {
+    const request = rawRequest.objectDef || rawRequest;
+    const ref = (value) => (value && typeof value === 'object' ? value.id : value) || null;
+    const name = (value) => (value && typeof value === 'object' ? value.name : null) || null;
+    const messages = [
+      request.errorMessage,
+      ...(Array.isArray(request.messages) ? request.messages.map(message => message.message || message) : []),
+      request.loadState && request.loadState.errorMessage
+    ].filter(Boolean);
 
-      const odagLink = await this.createODAGLink(linkConfig);
+    return {
+      id: request.id,
+      linkId: ref(request.link),
+      linkName: name(request.link),
+      requester: request.owner ? `${request.owner.userDirectory}\\${request.owner.userId}` : null,
+      requesterName: request.owner ? request.owner.name || null : null,
+      state: request.state || null,
+      rowEstimate: request.actualRowEst ?? null,
+      selectionAppId: ref(request.selectionApp),
+      generatedAppId: ref(request.generatedApp),
+      generatedAppName: name(request.generatedApp) || request.generatedAppName || null,
+      createdDate: request.createdDate || null,
+      modifiedDate: request.modifiedDate || null,
+      loadStartedDate: request.loadState?.startedAt || null,
+      loadFinishedDate: request.loadState?.finishedAt || null,
+      errors: [...new Set(messages)]
+    };
+  }
 
-      console.log('Adding navigation link to selection app...');
-      try {
-        await this.addNavigationLinkToApp(
-          options.selectionAppId, 
-          odagLink.id, 
-          options.linkName,
-          options.description || 'On-demand app generation link'
-        );
+  async listLinkRequests(linkId) {
+    const url = `${this.getODAGBaseUrl()}/links/${linkId}/requests?xrfkey=${this.xrfKey}`;
+    const response = await axios.get(url, this.axiosConfig);
+    return (Array.isArray(response.data) ? response.data : []).map(request => this.normalizeODAGRequest(request));
+  }
 
-        console.log('ODAG link creation completed successfully!');
-        
-        return {
-          success: true,
-          odagLinkId: odagLink.id,
-          selectionAppId: options.selectionAppId,
-          templateAppId: options.templateAppId,
-          selectionAppName: selectionAppValidation.name,
-          templateAppName: templateAppValidation.name,
-          message: 'ODAG link created and registered in Hub successfully'
-        };
+  // Lists generation requests for one link, or for every link when no linkId is given,
+  // newest first. `state` narrows the list to requests in that state.
+  async listODAGRequests({ linkId, state } = {}) {
+    try {
+      await this.ensureAuthenticated();
 
-      } catch (navError) {
-        console.log('PARTIAL SUCCESS - ODAG link created but navigation link failed');
-        
-        return {
-          success: true,
-          partial: true,
-          odagLinkId: odagLink.id,
-          selectionAppId: options.selectionAppId,
-          templateAppId: options.templateAppId,
-          selectionAppName: selectionAppValidation.name,
-          templateAppName: templateAppValidation.name,
-          message: 'ODAG link created successfully. Navigation link must be added manually.',
-          navigationLinkError: navError.message
-        };
+      let requests;
+      if (linkId) {
+        console.log(`Listing ODAG requests for link ${linkId}...`);
+        requests = await this.listLinkRequests(linkId);
+      } else {
+        console.log('Listing ODAG requests for all links...');
+        const response = await axios.get(`${this.getODAGBaseUrl()}/links?xrfkey=${this.xrfKey}`, this.axiosConfig);
+        const links = (Array.isArray(response.data) ? response.data : []).map(link => this.normalizeODAGLink(link));
+        requests = [];
+        for (const link of links) {
+          const linkRequests = await this.listLinkRequests(link.id);
+          requests.push(...linkRequests.map(request => ({ ...request, linkName: request.linkName || link.name })));
+        }
+      }
+
+      if (state) {
+        requests = requests.filter(request => request.state === state);
       }
+      requests.sort((a, b) => String(b.createdDate || '').localeCompare(String(a.createdDate || '')));
 
+      console.log(`Found ${requests.length} ODAG request(s)`);
+      return requests;
     } catch (error) {
-      console.error('ODAG link creation failed:', error.message);
-      return {
-        success: false,
-        error: error.message
-      };
+      console.error('Failed to list ODAG requests:', error.response?.data || error.message);
+      throw this.describeODAGError(error, 'Failed to list ODAG requests', linkId ? `ODAG link not found: ${linkId}` : undefined);
     }
   }
 
-  async testConnection() {
+  async getODAGRequest(requestId, { raw = false } = {}) {
     try {
-      console.log('Testing Qlik Sense connection...');
-      
-      await this.authenticate();
-      console.log('QRS API: Connection working');
-      
-      try {
-        const url = `https://${this.config.qlikHost}:${this.config.odagPort}/v1/links?xrfkey=${this.xrfKey}`;
-        const response = await axios.get(url, this.axiosConfig);
-        console.log('ODAG API: Connection working');
-      } catch (odagError) {
-        console.log('ODAG API: Connection failed -', odagError.message);
-      }
-      
-      return {
-        success: true,
-        message: 'Connection test completed',
-        qrsApi: 'working',
-        authentication: 'successful'
-      };
-      
+      await this.ensureAuthenticated();
+
+      const url = `${this.getODAGBaseUrl()}/requests/${requestId}?xrfkey=${this.xrfKey}`;
+      const response = await axios.get(url, this.axiosConfig);
+      return raw ? (response.data.objectDef || response.data) : this.normalizeODAGRequest(response.data);
     } catch (error) {
-      console.error('Connection test failed:', error.message);
-      return {
-        success: false,
-        error: error.message
-      };
+      console.error(`Failed to fetch ODAG request ${requestId}:`, error.response?.data || error.message);
+      throw this.describeODAGError(error, `Failed to fetch ODAG request ${requestId}`, `ODAG request not found: ${requestId}`);
     }
   }
-}
 
-// Create service instance
-const odagService = new ODAGLinkCreator(config);
+  async cancelODAGRequest(requestId, { access = allowAll } = {}) {
+    const request = await this.getODAGRequest(requestId);
+    const denial = await this.checkLinkAccess(access, await this.getODAGLink(request.linkId));
+    if (denial) {
+      return this.forbidden(denial, { request });
+    }
+    if (!ACTIVE_REQUEST_STATES.includes(request.state)) {
+      return { success: false, request, error: `Request ${requestId} is ${request.state} and can no longer be cancelled` };
+    }
 
-// Create Express app
-const app = express();
-app.use(express.json());
+    try {
+      console.log(`Cancelling ODAG request ${requestId} (${request.state})`);
+      const url = `${this.getODAGBaseUrl()}/requests/${requestId}?action=cancel&xrfkey=${this.xrfKey}`;
+      await axios.put(url, null, this.axiosConfig);
+    } catch (error) {
+      console.error(`Failed to cancel ODAG request ${requestId}:`, error.response?.data || error.message);
+      throw this.describeODAGError(error, `Failed to cancel ODAG request ${requestId}`, `ODAG request not found: ${requestId}`);
+    }
 
-// Serve the HTML form
-app.get('/', (req, res) => {
-  const htmlForm = `<!DOCTYPE html>
-<html lang="en">
+    return {
+      success: true,
+      request: await this.getODAGRequest(requestId),
+      message: `Cancellation of request ${requestId} requested`
+    };
+  }
+
+  // ODAG has no retry action, so a failed or cancelled request is retried by submitting
+  // a new request for the same link with the original selection state, as the original
+  // requester so the generated app is theirs (as the caller when impersonating)
+  async retryODAGRequest(requestId, { access = allowAll } = {}) {
+    const original = await this.getODAGRequest(requestId, { raw: true });
+    const request = this.normalizeODAGRequest(original);
+    const denial = await this.checkLinkAccess(access, await this.getODAGLink(request.linkId));
+    if (denial) {
+      return this.forbidden(denial, { request });
+    }
+    if (!RETRYABLE_REQUEST_STATES.includes(request.state)) {
+      return { success: false, request, error: `Request ${requestId} is ${request.state} - only failed or cancelled requests can be retried` };
+    }
+
+    const payload = {
+      selectionApp: request.selectionAppId,
+      actualRowEst: original.actualRowEst,
+      bindSelectionState: original.bindSelectionState || [],
+      selectionState: original.selectionState || []
+    };
+
+    const owner = original.owner && original.owner.userDirectory && !this.config.impersonatedUser
+      ? original.owner
+      : { userDirectory: this.config.userDirectory, userId: this.config.userId };
+
+    try {
+      console.log(`Retrying ODAG request ${requestId} for link ${request.linkId} as ${owner.userDirectory}\\${owner.userId}`);
+      const url = `${this.getODAGBaseUrl()}/links/${request.linkId}/requests?xrfkey=${this.xrfKey}`;
+      const response = await axios.post(url, payload, {
+        ...this.axiosConfig,
+        headers: {
+          ...this.axiosConfig.headers,
+          'X-Qlik-User': `UserDirectory=${owner.userDirectory}; UserId=${owner.userId}`
+        }
+      });
+      const retried = this.normalizeODAGRequest(response.data);
+      return {
+        success: true,
+        originalRequestId: requestId,
+        request: retried,
+        message: `Request ${requestId} resubmitted as ${retried.id}`
+      };
+    } catch (error) {
+      console.error(`Failed to retry ODAG request ${requestId}:`, error.response?.data || error.message);
+      throw this.describeODAGError(error, `Failed to retry ODAG request ${requestId}`, `ODAG link not found: ${request.linkId}`);
+    }
+  }
+
+  // Looks the apps up 50 IDs at a time to keep the QRS filter short. Apps that don't
+  // exist (or the caller can't see) are missing from the returned map.
+  async getAppsById(appIds) {
+    const ids = [...new Set(appIds.filter(Boolean))];
+    ids.forEach(id => this.ensureAppId(id));
+    const apps = new Map();
+
+    for (let i = 0; i < ids.length; i += 50) {
+      const filter = encodeURIComponent(ids.slice(i, i + 50).map(id => `id eq ${id}`).join(' or '));
+      const response = await axios.get(`${this.getQrsBaseUrl()}/qrs/app/full?filter=${filter}&xrfkey=${this.xrfKey}`, this.axiosConfig);
+      for (const app of response.data || []) {
+        apps.set(app.id, { ...this.formatApp(app), ownerUserId: app.owner ? app.owner.id : null });
+      }
+    }
+    return apps;
+  }
+
+  // Looks up apps and their owners in QRS, in batches to keep the filter URLs short.
+  // Returns a Map of app ID to formatApp() plus `ownerRemoved` for owners that were
+  // removed from their user directory or marked inactive.
+  async getAppDetails(appIds) {
+    const apps = await this.getAppsById(appIds);
+
+    const ownerIds = [...new Set([...apps.values()].map(app => app.ownerUserId).filter(Boolean))];
+    const removedOwners = new Set();
+    for (let i = 0; i < ownerIds.length; i += 50) {
+      const filter = encodeURIComponent(ownerIds.slice(i, i + 50).map(id => `id eq ${id}`).join(' or '));
+      const response = await axios.get(`${this.getQrsBaseUrl()}/qrs/user/full?filter=${filter}&xrfkey=${this.xrfKey}`, this.axiosConfig);
+      for (const user of response.data || []) {
+        if (user.removedExternally || user.inactive || user.blacklisted) {
+          removedOwners.add(user.id);
+        }
+      }
+    }
+
+    for (const app of apps.values()) {
+      app.ownerRemoved = removedOwners.has(app.ownerUserId);
+      delete app.ownerUserId;
+    }
+    return apps;
+  }
+
+  // Lists the apps generated from one link (or all links) with owner, size, creation
+  // and reload times, and whether each app is past the retention its link grants the owner
+  async getGeneratedAppInventory({ linkId } = {}) {
+    try {
+      await this.ensureAuthenticated();
+
+      const links = linkId ? [await this.getODAGLink(linkId)] : await this.listODAGLinks();
+      const linksById = new Map(links.map(link => [link.id, link]));
+      const requests = (await this.listODAGRequests({ linkId })).filter(request => request.generatedAppId);
+      const details = await this.getAppDetails(requests.map(request => request.generatedAppId));
+      const now = Date.now();
+
+      const apps = [];
+      for (const request of requests) {
+        const app = details.get(request.generatedAppId);
+        if (!app) continue; // Already deleted, by ODAG retention or by hand
+
+        const link = linksById.get(request.linkId) || {};
+        const [userDirectory, userId] = (app.owner || request.requester || '\\').split('\\');
+        const rule = findContextRule(link.appRetentionTime, userDirectory, userId);
+        const createdDate = app.createdDate || request.createdDate;
+        const expiresAt = rule && createdDate ? new Date(new Date(createdDate).getTime() + rule.minutes * 60000).toISOString() : null;
+
+        apps.push({
+          appId: app.id,
+          name: app.name,
+          linkId: request.linkId,
+          linkName: link.name || request.linkName,
+          requestId: request.id,
+          owner: app.owner,
+          ownerName: app.ownerName,
+          ownerRemoved: app.ownerRemoved,
+          fileSize: app.fileSize,
+          createdDate,
+          lastReloadTime: app.lastReloadTime,
+          published: app.published,
+          stream: app.stream,
+          retentionMinutes: rule ? rule.minutes : null,
+          expiresAt,
+          expired: expiresAt ? new Date(expiresAt).getTime() < now : false
+        });
+      }
+
+      const summary = links.map(link => {
+        const linkApps = apps.filter(app => app.linkId === link.id);
+        return {
+          linkId: link.id,
+          linkName: link.name,
+          appCount: linkApps.length,
+          expiredCount: linkApps.filter(app => app.expired).length,
+          totalSize: linkApps.reduce((total, app) => total + (app.fileSize || 0), 0)
+        };
+      });
+
+      console.log(`Found ${apps.length} generated app(s), ${apps.filter(app => app.expired).length} past retention`);
+      return { links: summary, apps };
+    } catch (error) {
+      console.error('Failed to build generated app inventory:', error.response?.data || error.message);
+      throw this.describeODAGError(error, 'Failed to list generated apps', linkId ? `ODAG link not found: ${linkId}` : undefined);
+    }
+  }
+
+  // Deletes the given generated apps, or every expired one when no appIds are given.
+  // Only apps in the inventory can be deleted, so other apps are never touched.
+  // A dry run (the default) only lists what would be deleted.
+  async cleanupGeneratedApps({ linkId, appIds, dryRun = true, access = allowAll } = {}) {
+    const inventory = await this.getGeneratedAppInventory({ linkId });
+    const byId = new Map(inventory.apps.map(app => [app.appId, app]));
+
+    const results = [];
+    let targets;
+    if (Array.isArray(appIds) && appIds.length > 0) {
+      targets = [];
+      for (const appId of appIds) {
+        if (byId.has(appId)) {
+          targets.push(byId.get(appId));
+        } else {
+          results.push({ appId, status: 'skipped', error: 'Not a generated app of the selected link(s)' });
+        }
+      }
+    } else {
+      targets = inventory.apps.filter(app => app.expired);
+    }
+
+    const denials = new Map();
+    for (const app of targets) {
+      const entry = { appId: app.appId, name: app.name, linkName: app.linkName, owner: app.owner, expired: app.expired, fileSize: app.fileSize };
+      if (!denials.has(app.linkId)) {
+        denials.set(app.linkId, await this.checkLinkAccess(access, await this.getODAGLink(app.linkId)));
+      }
+      if (denials.get(app.linkId)) {
+        results.push({ ...entry, status: 'skipped', error: denials.get(app.linkId).message });
+        continue;
+      }
+      if (dryRun) {
+        results.push({ ...entry, status: 'wouldDelete' });
+        continue;
+      }
+      try {
+        await this.deleteApp(app.appId);
+        results.push({ ...entry, status: 'deleted' });
+      } catch (error) {
+        results.push({ ...entry, status: 'failed', error: error.message });
+      }
+    }
+
+    const count = (status) => results.filter(result => result.status === status).length;
+    return {
+      success: count('failed') === 0,
+      dryRun,
+      total: results.length,
+      deleted: count('deleted'),
+      failed: count('failed'),
+      skipped: count('skipped'),
+      results
+    };
+  }
+
+  // Looks up the apps of an existing link and asks the caller's access policy whether
+  // they may manage it. Returns null when allowed, otherwise the denial from checkLink.
+  async checkLinkAccess(access, link, rowEstRange) {
+    if (!access.enabled) return null;
+
+    const describe = async appId => {
+      const validation = appId ? await this.validateAppId(appId) : { valid: false };
+      return validation.valid ? validation : { id: appId, name: null, stream: null };
+    };
+    return access.checkLink({
+      selectionApp: await describe(link.selectionAppId),
+      templateApp: await describe(link.templateAppId),
+      rowEstRange
+    });
+  }
+
+  forbidden(denial, details = {}) {
+    console.log(denial.message);
+    return { success: false, forbidden: true, blockedBy: { rule: denial.rule, reason: denial.reason }, ...details, error: denial.message };
+  }
+
+  // A distinct `identity` gives the socket its own Engine session (and selection state)
+  // instead of sharing the service user's session for the app
+  createEngineSession(appId, { identity } = {}) {
+    let wsUrl = this.config.virtualProxy
+      ? `wss://${this.config.qlikHost}:${this.config.enginePort}/${this.config.virtualProxy}/app/${appId}`
+      : `wss://${this.config.qlikHost}:${this.config.enginePort}/app/${appId}`;
+    if (identity) {
+      wsUrl += `/identity/${identity}`;
+    }
+    
+    return new EngineSession(wsUrl, {
+      headers: {
+        'X-Qlik-Xrfkey': this.xrfKey,
+        'X-Qlik-User': `UserDirectory=${this.config.userDirectory}; UserId=${this.config.userId}`
+      },
+      agent: this.httpsAgent,
+      handshakeTimeout: 10000
+    }, {
+      callTimeout: this.config.requestTimeout || 30000
+    });
+  }
+
+  // Opens the app over the Engine API and hands `work` the EngineSession plus the
+  // app handle. Calls for an app that is already open (nested or concurrent) reuse
+  // its session, and the socket is closed once the last of them settles.
+  // Pass { noData: true } to open the app without loading its data model, or
+  // { isolated: true } for a private session whose selections nobody else sees.
+  async withEngineApp(appId, work, options = {}) {
+    const open = options.isolated ? null : this.openEngineApps.get(appId);
+    if (open && (options.noData || !open.noData)) {
+      open.refs++;
+      try {
+        await open.ready;
+        return await work(open.session, open.appHandle);
+      } finally {
+        this.releaseEngineApp(appId, open);
+      }
+    }
+
+    const session = this.createEngineSession(appId, { identity: options.isolated ? uuidv4() : undefined });
+    const entry = { session, appHandle: null, noData: Boolean(options.noData), refs: 1 };
+    entry.ready = session.connect()
+      .then(() => session.openDoc(appId, { noData: options.noData }))
+      .then(appHandle => {
+        entry.appHandle = appHandle;
+        console.log(`App opened with handle: ${appHandle}`);
+      });
+    entry.ready.catch(() => {});
+
+    if (!open && !options.isolated && !this.openEngineApps.has(appId)) {
+      this.openEngineApps.set(appId, entry);
+    }
+
+    try {
+      await entry.ready;
+      return await work(session, entry.appHandle);
+    } finally {
+      this.releaseEngineApp(appId, entry);
+    }
+  }
+
+  releaseEngineApp(appId, entry) {
+    entry.refs--;
+    if (entry.refs > 0) return;
+
+    if (this.openEngineApps.get(appId) === entry) {
+      this.openEngineApps.delete(appId);
+    }
+    entry.session.close();
+  }
+
+  // Adds the odagapplink object (app navigation panel) and, when `sheet` is given as
+  // { sheetId, placement, label }, a navigation button on that sheet as well
+  // Pass { save: false } for published apps, where objects are stored without DoSave.
+  async addNavigationLinkToApp(selectionAppId, odagLinkId, linkName, description = '', sheet = null, options = {}) {
+    return this.withEngineApp(selectionAppId, async (session, appHandle) => {
+      // The sheet button goes first, so a placement that does not fit fails before the
+      // app is changed. A later failure takes the button (and object) out again, so a
+      // save by someone else can't keep them pointing at a link that is rolled back.
+      let sheetObjectId = null;
+      if (sheet && sheet.sheetId) {
+        sheetObjectId = await this.addNavigationButtonToSheet(session, appHandle, sheet.sheetId, odagLinkId, {
+          label: sheet.label || linkName,
+          description,
+          placement: sheet.placement
+        });
+      }
+
+      const navigationObjectId = uuidv4();
+      let navigationCreated = false;
+      try {
+        console.log('Creating ODAG app link object...');
+        await session.createObject(appHandle, {
+          qInfo: {
+            qId: navigationObjectId,
+            qType: 'odagapplink'
+          },
+          qMetaDef: {
+            odagLinkRef: odagLinkId,
+            title: linkName,
+            description
+          }
+        });
+        navigationCreated = true;
+        console.log('ODAG app link object created successfully');
+
+        if (options.save !== false) {
+          console.log('Saving app...');
+          await session.doSave(appHandle);
+          console.log('App saved successfully');
+        }
+      } catch (error) {
+        if (navigationCreated) {
+          await session.destroyObject(appHandle, navigationObjectId)
+            .catch(cleanupError => console.error(`Could not remove navigation object ${navigationObjectId}:`, cleanupError.message));
+        }
+        if (sheetObjectId) {
+          await this.removeNavigationButton(session, appHandle, sheetObjectId)
+            .catch(cleanupError => console.error(`Could not remove navigation button ${sheetObjectId}:`, cleanupError.message));
+        }
+        throw error;
+      }
+
+      return {
+        message: sheetObjectId
+          ? 'ODAG app link and sheet navigation button created and app saved'
+          : 'ODAG app link created and app saved',
+        navigationObjectId,
+        sheetObjectId
+      };
+    });
+  }
+
+  async addNavigationButtonToSheet(session, appHandle, sheetId, odagLinkId, { label, description, placement }) {
+    let sheetHandle;
+    try {
+      sheetHandle = await session.getObject(appHandle, sheetId);
+    } catch (error) {
+      throw new Error(`Sheet ${sheetId} not found in selection app: ${error.message}`);
+    }
+
+    const sheet = await session.getProperties(sheetHandle);
+    const sheetTitle = sheet.qMetaDef?.title || sheetId;
+    const conflict = findPlacementConflict(sheet, placement);
+    if (conflict) {
+      throw new Error(`Cannot place navigation button on sheet "${sheetTitle}": ${conflict}`);
+    }
+
+    console.log(`Adding ODAG navigation button to sheet "${sheetTitle}" at col ${placement.col}, row ${placement.row}...`);
+    const button = await session.createChild(sheetHandle, {
+      qInfo: { qType: 'odag-toolbar-navpoint' },
+      qMetaDef: { title: label, description, odagLinkRef: odagLinkId },
+      visualization: 'odag-toolbar-navpoint',
+      showTitles: false,
+      title: label,
+      subtitle: description,
+      odagLink: { id: odagLinkId, title: label }
+    });
+
+    sheet.cells = [...(sheet.cells || []), { name: button.id, type: 'odag-toolbar-navpoint', ...placement }];
+    await session.setProperties(sheetHandle, sheet);
+    console.log(`Navigation button ${button.id} added to sheet ${sheetId}`);
+
+    return button.id;
+  }
+
+  async listSheets(session, appHandle) {
+    const sheetListHandle = await session.createSessionObject(appHandle, {
+      qInfo: { qType: 'SheetList' },
+      qAppObjectListDef: {
+        qType: 'sheet',
+        qData: {
+          title: '/qMetaDef/title',
+          description: '/qMetaDef/description',
+          rank: '/rank',
+          columns: '/columns',
+          rows: '/rows',
+          cells: '/cells'
+        }
+      }
+    });
+    const layout = await session.getLayout(sheetListHandle);
+    return (layout.qAppObjectList.qItems || [])
+      .map(item => ({
+        id: item.qInfo.qId,
+        title: item.qData.title || item.qMeta?.title,
+        description: item.qData.description || '',
+        rank: item.qData.rank ?? null,
+        published: Boolean(item.qMeta?.published),
+        columns: item.qData.columns || DEFAULT_SHEET_COLUMNS,
+        rows: item.qData.rows || DEFAULT_SHEET_ROWS,
+        cells: (item.qData.cells || []).map(({ name, type, col, row, colspan, rowspan }) => ({ name, type, col, row, colspan, rowspan }))
+      }))
+      .sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity));
+  }
+
+  async getAppSheets(appId) {
+    console.log(`Loading sheets of app ${appId}`);
+    return this.withEngineApp(appId, (session, appHandle) => this.listSheets(session, appHandle));
+  }
+
+  // Navigation buttons are sheet children, so the sheet's cell has to go with them
+  async removeNavigationButton(session, appHandle, objectId) {
+    const buttonHandle = await session.getObject(appHandle, objectId);
+    const sheetHandle = await session.getParent(buttonHandle);
+    const sheet = await session.getProperties(sheetHandle);
+
+    sheet.cells = (sheet.cells || []).filter(cell => cell.name !== objectId);
+    await session.setProperties(sheetHandle, sheet);
+    await session.destroyChild(sheetHandle, objectId);
+  }
+
+  describePublishedAppOptions(selectionAppValidation) {
+    return {
+      error: `Selection app "${selectionAppValidation.name}" is published${selectionAppValidation.stream ? ` in stream "${selectionAppValidation.stream}"` : ''}, so the navigation object cannot be saved to it directly. ` +
+        `Set publishedAppStrategy to ${Object.keys(PUBLISHED_APP_STRATEGIES).map(strategy => `"${strategy}"`).join(', ')} - see publishedAppOptions.`,
+      publishedAppOptions: Object.entries(PUBLISHED_APP_STRATEGIES).map(([strategy, description]) => ({ strategy, description }))
+    };
+  }
+
+  // The "duplicate" strategy copies the published app before the link is created, so
+  // the link can be bound to the copy that will carry its navigation
+  async duplicateSelectionApp(selectionAppValidation, linkName) {
+    const name = `${selectionAppValidation.name} (with ${linkName})`;
+    const id = await this.copyApp(selectionAppValidation.id, name);
+    return { id, name };
+  }
+
+  // Adds the navigation object to the selection app, going through `strategy` when the
+  // app is published. Returns the addNavigationLinkToApp result plus `publishedApp`
+  // describing what was done to the published app. With "duplicate" the navigation
+  // goes into duplicateApp, the copy made by duplicateSelectionApp.
+  async addNavigationToSelectionApp(selectionAppValidation, odagLinkId, linkName, description, sheet, strategy, duplicateApp = null) {
+    const selectionAppId = selectionAppValidation.id;
+
+    if (!selectionAppValidation.published) {
+      return this.addNavigationLinkToApp(selectionAppId, odagLinkId, linkName, description, sheet);
+    }
+
+    console.log(`Selection app is published - adding navigation using the "${strategy}" strategy`);
+
+    if (strategy === 'baseObject') {
+      const navigation = await this.addNavigationLinkToApp(selectionAppId, odagLinkId, linkName, description, null, { save: false });
+      await this.promoteToBaseObject(selectionAppId, navigation.navigationObjectId);
+      return {
+        ...navigation,
+        publishedApp: {
+          strategy,
+          appId: selectionAppId,
+          message: 'Navigation object added to the published app as an approved base object'
+        }
+      };
+    }
+
+    if (strategy === 'duplicate') {
+      const navigation = await this.addNavigationLinkToApp(duplicateApp.id, odagLinkId, linkName, description, sheet);
+      return {
+        ...navigation,
+        publishedApp: {
+          strategy,
+          appId: duplicateApp.id,
+          appName: duplicateApp.name,
+          message: `The link is bound to the unpublished copy "${duplicateApp.name}" (${duplicateApp.id}), which carries the navigation; publish the copy to make the link available`
+        }
+      };
+    }
+
+    const copyName = `${selectionAppValidation.name} (republish ${odagLinkId})`;
+    const copyAppId = await this.copyApp(selectionAppId, copyName);
+
+    try {
+      const navigation = await this.addNavigationLinkToApp(copyAppId, odagLinkId, linkName, description, sheet);
+      await this.replaceApp(copyAppId, selectionAppId);
+      return {
+        ...navigation,
+        publishedApp: {
+          strategy,
+          appId: selectionAppId,
+          message: `Published app "${selectionAppValidation.name}" was replaced with a copy carrying the navigation${selectionAppValidation.stream ? ` and stays in stream "${selectionAppValidation.stream}"` : ''}`
+        }
+      };
+    } finally {
+      await this.deleteApp(copyAppId).catch(cleanupError => console.error(`Could not delete app copy ${copyAppId}:`, cleanupError.message));
+    }
+  }
+
+  // Published apps (a "baseObject" link, or a "duplicate" copy that was published since)
+  // store object changes without DoSave. A failure is flagged with `published` so the
+  // caller can tell the navigation object may still be in the published app.
+  async removeNavigationLinksFromApp(appId, odagLinkId) {
+    return this.withEngineApp(appId, async (session, appHandle) => {
+      const layout = await session.getAppLayout(appHandle);
+      const published = Boolean(layout.qMeta?.published);
+
+      try {
+        const objects = await session.getObjects(appHandle, ['odagapplink', 'odag-toolbar-navpoint']);
+        const matching = objects.filter(entry => entry.qMeta && entry.qMeta.odagLinkRef === odagLinkId);
+
+        for (const entry of matching) {
+          console.log(`Destroying ${entry.qInfo.qType} object ${entry.qInfo.qId} in app ${appId}`);
+          if (entry.qInfo.qType === 'odag-toolbar-navpoint') {
+            await this.removeNavigationButton(session, appHandle, entry.qInfo.qId);
+          } else {
+            await session.destroyObject(appHandle, entry.qInfo.qId);
+          }
+        }
+
+        if (matching.length > 0 && !published) {
+          console.log('Saving app...');
+          await session.doSave(appHandle);
+        }
+
+        return matching.map(entry => entry.qInfo.qId);
+      } catch (error) {
+        throw Object.assign(error, { published });
+      }
+    }, { noData: true });
+  }
+
+  // Adds the odagapplink object for the link unless the app already carries one
+  async ensureNavigationLink(appId, odagLinkId, linkName) {
+    const existing = await this.withEngineApp(appId, async (session, appHandle) => {
+      const objects = await session.getObjects(appHandle, ['odagapplink']);
+      return objects.some(entry => entry.qMeta && entry.qMeta.odagLinkRef === odagLinkId);
+    });
+
+    if (existing) {
+      console.log(`App ${appId} already has a navigation link for ${odagLinkId}`);
+      return false;
+    }
+
+    await this.addNavigationLinkToApp(appId, odagLinkId, linkName);
+    return true;
+  }
+
+  // QRS can't see which link an odagapplink object points at (odagLinkRef lives in the
+  // engine), so this returns every app carrying one; they are opened without data
+  // and only the objects for this link are removed.
+  async findNavigationLinkApps(link) {
+    const appIds = new Set(link.selectionAppId ? [link.selectionAppId] : []);
+
+    try {
+      const filter = encodeURIComponent("objectType eq 'odagapplink'");
+      const url = `${this.getQrsBaseUrl()}/qrs/app/object?filter=${filter}&xrfkey=${this.xrfKey}`;
+      const response = await axios.get(url, this.axiosConfig);
+      for (const object of response.data || []) {
+        if (object.app && object.app.id) {
+          appIds.add(object.app.id);
+        }
+      }
+    } catch (error) {
+      console.log('Could not list odagapplink objects via QRS -', error.message);
+    }
+
+    return [...appIds];
+  }
+
+  async validateLinkOptions(options) {
+    const requiredFields = ['linkName', 'rowEstExpr'];
+    const hasAppIds = options.selectionAppId && options.templateAppId;
+    
+    if (!hasAppIds) {
+      throw new Error('Missing required fields: selectionAppId and templateAppId (or selectionAppName and templateAppName) are required');
+    }
+    
+    for (const field of requiredFields) {
+      if (!options[field]) {
+        throw new Error(`Missing required field: ${field}`);
+      }
+    }
+
+    const ruleValidation = validateContextRules(options);
+    if (ruleValidation.errors.length > 0) {
+      throw new Error(`Invalid context rules: ${ruleValidation.errors.join('; ')}`);
+    }
+    for (const warning of ruleValidation.warnings) {
+      console.log(`Context rule warning: ${warning}`);
+    }
+
+    const sheet = options.sheetId
+      ? { sheetId: options.sheetId, placement: normalizeSheetPlacement(options.sheetPlacement), label: options.buttonLabel }
+      : null;
+
+    const strategy = options.publishedAppStrategy;
+    if (strategy !== undefined && strategy !== null && strategy !== '' && !PUBLISHED_APP_STRATEGIES[strategy]) {
+      throw new Error(`Invalid publishedAppStrategy "${strategy}" - expected one of: ${Object.keys(PUBLISHED_APP_STRATEGIES).join(', ')}`);
+    }
+    if (strategy === 'baseObject' && sheet) {
+      throw new Error('publishedAppStrategy "baseObject" cannot place a sheet button - sheets of a published app can only be changed through "duplicate" or "republish"');
+    }
+
+    console.log('Validating app IDs...');
+    const selectionAppValidation = await this.validateAppId(options.selectionAppId);
+    const templateAppValidation = await this.validateAppId(options.templateAppId);
+    
+    if (!selectionAppValidation.valid) {
+      throw new Error(`Selection app validation failed: ${selectionAppValidation.error}`);
+    }
+    
+    if (!templateAppValidation.valid) {
+      throw new Error(`Template app validation failed: ${templateAppValidation.error}`);
+    }
+    
+    console.log(`Selection App: ${selectionAppValidation.name} (${options.selectionAppId})`);
+    console.log(`Template App: ${templateAppValidation.name} (${options.templateAppId})`);
+
+    return { selectionAppValidation, templateAppValidation, ruleWarnings: ruleValidation.warnings, sheet };
+  }
+
+  checkExpressionSyntax(expression) {
+    const pairs = { ')': '(', ']': '[', '}': '{' };
+    const stack = [];
+    let quote = null;
+
+    for (const char of expression) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === "'" || char === '"') {
+        quote = char;
+      } else if ('([{'.includes(char)) {
+        stack.push(char);
+      } else if (pairs[char]) {
+        if (stack.pop() !== pairs[char]) {
+          return { valid: false, error: `Unexpected '${char}'` };
+        }
+      }
+    }
+
+    if (quote) {
+      return { valid: false, error: `Unterminated ${quote} quote` };
+    }
+    if (stack.length > 0) {
+      return { valid: false, error: `Unclosed '${stack[stack.length - 1]}'` };
+    }
+    return { valid: true };
+  }
+
+  async checkRowEstExpr(appId, expression) {
+    console.log(`Checking row estimation expression in app ${appId}: ${expression}`);
+
+    // Cleared in a private session, so selections other callers hold in the shared one stay
+    return this.withEngineApp(appId, async (session, appHandle) => {
+      await session.clearAll(appHandle);
+
+      const check = await session.checkExpression(appHandle, expression);
+      const unknownFields = (check.qBadFieldNames || []).map(range => expression.substr(range.qFrom, range.qCount));
+
+      if (check.qErrorMsg || unknownFields.length > 0) {
+        return {
+          valid: false,
+          error: check.qErrorMsg || `Unknown field(s): ${unknownFields.join(', ')}`,
+          unknownFields
+        };
+      }
+
+      const value = await session.evaluateEx(appHandle, expression);
+
+      if (!value.qIsNumeric) {
+        return {
+          valid: false,
+          error: `Expression does not return a number (got "${value.qText}")`,
+          unknownFields,
+          value: value.qText
+        };
+      }
+
+      return {
+        valid: true,
+        unknownFields,
+        value: value.qNumber,
+        text: value.qText
+      };
+    }, { isolated: true });
+  }
+
+  // Accepts { Field: [values] } (or a single value per field) or [{ field, values }]
+  normalizeSelections(selections) {
+    const entries = Array.isArray(selections)
+      ? selections.map(selection => [selection && selection.field, selection && selection.values])
+      : Object.entries(selections || {});
+
+    if (entries.length === 0) {
+      throw new Error('selections are required, e.g. { "Region": ["North"] }');
+    }
+
+    return entries.map(([field, values]) => {
+      const list = Array.isArray(values) ? values : [values];
+      if (typeof field !== 'string' || field.trim() === '') {
+        throw new Error('Every selection needs a field name');
+      }
+      if (list.length === 0 || list.some(value => value === undefined || value === null || value === '' || typeof value === 'object')) {
+        throw new Error(`Selection for field "${field}" must be one or more strings or numbers`);
+      }
+      return { field, values: list };
+    });
+  }
+
+  // Accepts "DIRECTORY\userId" or { userDirectory, userId }
+  parseUser(user) {
+    if (user && typeof user === 'object' && user.userDirectory && user.userId) {
+      return { userDirectory: user.userDirectory, userId: user.userId };
+    }
+    const match = typeof user === 'string' && user.match(/^([^\\]+)\\(.+)$/);
+    if (!match) {
+      throw new Error(`Invalid user "${user}" - expected "DIRECTORY\\userId"`);
+    }
+    return { userDirectory: match[1], userId: match[2] };
+  }
+
+  // Applies the selections in a private Engine session and evaluates rowEstExpr there,
+  // the same way the Hub computes the estimate before it submits a request
+  async estimateRowCount(appId, expression, selections) {
+    console.log(`Estimating rows in app ${appId} for ${selections.map(selection => selection.field).join(', ')}`);
+
+    return this.withEngineApp(appId, async (session, appHandle) => {
+      const fieldNames = new Set((await this.listFields(session, appHandle)).map(field => field.name));
+      const unknownFields = selections.map(selection => selection.field).filter(field => !fieldNames.has(field));
+      if (unknownFields.length > 0) {
+        throw new Error(`Field(s) not found in selection app: ${unknownFields.join(', ')}`);
+      }
+
+      await session.clearAll(appHandle);
+      for (const { field, values } of selections) {
+        const fieldHandle = await session.getField(appHandle, field);
+        const selected = await session.selectValues(fieldHandle, values.map(value => typeof value === 'number'
+          ? { qText: String(value), qIsNumeric: true, qNumber: value }
+          : { qText: String(value) }));
+        if (!selected) {
+          throw new Error(`Could not select ${values.join(', ')} in field ${field}`);
+        }
+      }
+
+      const value = await session.evaluateEx(appHandle, expression);
+      if (!value.qIsNumeric) {
+        throw new Error(`Row estimation expression does not return a number for these selections (got "${value.qText}")`);
+      }
+      return Math.round(value.qNumber);
+    }, { isolated: true });
+  }
+
+  buildSelectionState(selections) {
+    return selections.map(({ field, values }) => ({
+      selectionAppParamType: 'Field',
+      selectionAppParamName: field,
+      values: values.map(value => ({
+        selStatus: 'S',
+        strValue: String(value),
+        numValue: typeof value === 'number' ? String(value) : 'NaN'
+      })),
+      selectedSize: values.length
+    }));
+  }
+
+  async waitForODAGRequest(requestId, timeout) {
+    const interval = this.config.generationPollInterval || 5000;
+    const deadline = Date.now() + timeout;
+
+    let request = await this.getODAGRequest(requestId);
+    while (ACTIVE_REQUEST_STATES.includes(request.state) && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, interval));
+      request = await this.getODAGRequest(requestId);
+      console.log(`ODAG request ${requestId} is ${request.state}`);
+    }
+    return request;
+  }
+
+  // Generates an app from the link for the given selections, as the service user or
+  // as `user`. Waits for the generation to finish unless `wait` is false.
+  async generateODAGApp(linkId, { selections, user, wait = true, timeout, audit = noAuditTrail, access = allowAll } = {}) {
+    try {
+      audit.link(linkId);
+      await this.ensureAuthenticated();
+
+      const owner = user ? this.parseUser(user) : { userDirectory: this.config.userDirectory, userId: this.config.userId };
+      if (this.config.impersonatedUser && `${owner.userDirectory}\\${owner.userId}`.toLowerCase() !== this.config.impersonatedUser.toLowerCase()) {
+        throw new Error(`Cannot generate apps for ${owner.userDirectory}\\${owner.userId} while acting as ${this.config.impersonatedUser}`);
+      }
+      const normalizedSelections = this.normalizeSelections(selections);
+      const link = await this.getODAGLink(linkId);
+      const denial = await this.checkLinkAccess(access, link);
+      if (denial) {
+        return this.forbidden(denial, { linkId });
+      }
+
+      const rowEstimate = await this.estimateRowCount(link.selectionAppId, link.rowEstExpr, normalizedSelections);
+      console.log(`Row estimate for link ${link.name}: ${rowEstimate}`);
+
+      const rule = findContextRule(link.rowEstRange, owner.userDirectory, owner.userId);
+      if (rule && (rowEstimate > rule.highBound || rowEstimate < rule.lowBound)) {
+        return {
+          success: false,
+          linkId,
+          rowEstimate,
+          error: `Row estimate ${rowEstimate} is outside the range ${rule.lowBound} - ${rule.highBound} allowed for ${rule.context}`
+        };
+      }
+
+      const selectionState = this.buildSelectionState(normalizedSelections);
+      const payload = {
+        selectionApp: link.selectionAppId,
+        actualRowEst: rowEstimate,
+        bindSelectionState: selectionState,
+        selectionState
+      };
+
+      audit.payload(payload);
+      console.log(`Submitting ODAG request for link ${link.name} as ${owner.userDirectory}\\${owner.userId}`);
+      const url = `${this.getODAGBaseUrl()}/links/${linkId}/requests?xrfkey=${this.xrfKey}`;
+      const response = await axios.post(url, payload, {
+        ...this.axiosConfig,
+        headers: {
+          ...this.axiosConfig.headers,
+          'X-Qlik-User': `UserDirectory=${owner.userDirectory}; UserId=${owner.userId}`
+        }
+      });
+      const submitted = this.normalizeODAGRequest(response.data);
+      audit.step('submitRequest', 'success', { requestId: submitted.id, rowEstimate });
+
+      if (!wait) {
+        return { success: true, linkId, requestId: submitted.id, state: submitted.state, rowEstimate, message: 'Generation request submitted' };
+      }
+
+      const request = await this.waitForODAGRequest(submitted.id, timeout || this.config.generationTimeout || 600000);
+      const base = { linkId, requestId: request.id, state: request.state, rowEstimate };
+
+      if (ACTIVE_REQUEST_STATES.includes(request.state)) {
+        return { success: false, timedOut: true, ...base, error: `Generation request ${request.id} is still ${request.state} - follow it under /api/odag/requests/${request.id}` };
+      }
+      if (!request.generatedAppId || RETRYABLE_REQUEST_STATES.includes(request.state)) {
+        return { success: false, ...base, error: request.errors.join('; ') || `Generation request ${request.id} ended as ${request.state}` };
+      }
+
+      return {
+        success: true,
+        ...base,
+        generatedAppId: request.generatedAppId,
+        generatedAppName: request.generatedAppName,
+        message: 'App generated successfully'
+      };
+    } catch (error) {
+      console.error(`App generation for link ${linkId} failed:`, error.response?.data || error.message);
+      throw this.describeODAGError(error, `Failed to generate app for link ${linkId}`, `ODAG link not found: ${linkId}`);
+    }
+  }
+
+  // Throws when the Engine reports the expression as invalid. If the Engine can't be
+  // reached the check is skipped and a warning is returned instead.
+  async ensureValidRowEstExpr(appId, expression) {
+    let expressionCheck;
+    try {
+      expressionCheck = await this.checkRowEstExpr(appId, expression);
+    } catch (engineError) {
+      console.log('Could not check row estimation expression -', engineError.message);
+      return `Row estimation expression was not checked: ${engineError.message}`;
+    }
+
+    if (!expressionCheck.valid) {
+      throw new Error(`Invalid row estimation expression: ${expressionCheck.error}`);
+    }
+
+    console.log(`Row estimation expression evaluates to ${expressionCheck.text}`);
+    return null;
+  }
+
+  async listFields(session, appHandle) {
+    const fieldListHandle = await session.createSessionObject(appHandle, {
+      qInfo: { qType: 'FieldList' },
+      qFieldListDef: { qShowSystem: false, qShowHidden: false, qShowDerivedFields: false, qShowSemantic: true }
+    });
+    const layout = await session.getLayout(fieldListHandle);
+    return (layout.qFieldList.qItems || []).map(item => ({
+      name: item.qName,
+      tags: item.qTags || [],
+      cardinality: item.qCardinal
+    }));
+  }
+
+  async listMasterMeasures(session, appHandle) {
+    const measureListHandle = await session.createSessionObject(appHandle, {
+      qInfo: { qType: 'MeasureList' },
+      qMeasureListDef: {
+        qType: 'measure',
+        qData: { title: '/qMetaDef/title', expression: '/qMeasure/qDef', label: '/qMeasure/qLabel' }
+      }
+    });
+    const layout = await session.getLayout(measureListHandle);
+    return (layout.qMeasureList.qItems || []).map(item => ({
+      id: item.qInfo.qId,
+      title: item.qData.title || item.qMeta?.title,
+      label: item.qData.label || null,
+      expression: item.qData.expression,
+      description: item.qMeta?.description || ''
+    }));
+  }
+
+  async getAppFields(appId) {
+    return this.withEngineApp(appId, (session, appHandle) => this.listFields(session, appHandle));
+  }
+
+  async getAppDataModel(appId) {
+    console.log(`Loading fields and master measures of app ${appId}`);
+
+    return this.withEngineApp(appId, async (session, appHandle) => ({
+      fields: await this.listFields(session, appHandle),
+      measures: await this.listMasterMeasures(session, appHandle)
+    }));
+  }
+
+  async getAppScript(appId) {
+    return this.withEngineApp(appId, (session, appHandle) => session.getScript(appHandle), { noData: true });
+  }
+
+  // Extracts the ODAG binding variables ($(od_Field), $(ods_Field), $(odo_Field),
+  // $(odso_Field) and the legacy $(odag_Field) forms) from a template load script.
+  extractODAGBindings(script) {
+    const pattern = /\$\((odagn|odags|odag|odso|odo|ods|od)_([^)]+)\)/g;
+    const bindings = new Map();
+    for (const match of script.matchAll(pattern)) {
+      const field = match[2].trim();
+      if (!bindings.has(match[0])) {
+        bindings.set(match[0], { variable: match[0], prefix: match[1], field, optional: ['odo', 'odso'].includes(match[1]) });
+      }
+    }
+    return [...bindings.values()];
+  }
+
+  async checkTemplateBindings(templateAppId, selectionAppId) {
+    console.log(`Checking ODAG bindings of template ${templateAppId} against selection app ${selectionAppId}`);
+
+    const bindings = this.extractODAGBindings(await this.getAppScript(templateAppId));
+    const fieldNames = new Set((await this.getAppFields(selectionAppId)).map(field => field.name));
+
+    const checked = bindings.map(binding => ({ ...binding, found: fieldNames.has(binding.field) }));
+    const missingFields = [...new Set(checked.filter(binding => !binding.found).map(binding => binding.field))];
+
+    return {
+      compatible: missingFields.length === 0,
+      bindings: checked,
+      missingFields,
+      message: bindings.length === 0
+        ? 'Template script contains no ODAG binding variables'
+        : missingFields.length === 0
+          ? `All ${bindings.length} ODAG binding(s) match fields in the selection app`
+          : `Template binds field(s) missing from the selection app: ${missingFields.join(', ')}`
+    };
+  }
+
+  // Applies the binding check according to `mode` ('fail', 'warn' or 'off').
+  // Returns a warning string, or null when there is nothing to report.
+  async ensureCompatibleTemplate(templateAppId, selectionAppId, mode) {
+    if (mode === 'off') {
+      return null;
+    }
+
+    let bindingCheck;
+    try {
+      bindingCheck = await this.checkTemplateBindings(templateAppId, selectionAppId);
+    } catch (engineError) {
+      console.log('Could not check template bindings -', engineError.message);
+      return `Template bindings were not checked: ${engineError.message}`;
+    }
+
+    if (!bindingCheck.compatible && mode === 'fail') {
+      throw new Error(bindingCheck.message);
+    }
+
+    return bindingCheck.compatible && bindingCheck.bindings.length > 0 ? null : bindingCheck.message;
+  }
+
+  async checkAppWritable(appId) {
+    return this.withEngineApp(appId, async (session, appHandle) => {
+      const layout = await session.getAppLayout(appHandle);
+      const privileges = layout.qMeta?.privileges || [];
+      return {
+        opened: true,
+        canSave: privileges.includes('update'),
+        privileges
+      };
+    });
+  }
+
+  async previewODAGLink(linkConfig, selectionAppValidation, templateAppValidation, sheet = null, publishedAppStrategy = null) {
+    console.log('Dry run - previewing ODAG link without creating it...');
+
+    const checks = [
+      { step: 'requiredFields', passed: true, message: 'All required fields are present' },
+      { step: 'selectionApp', passed: true, message: `Selection app found: ${selectionAppValidation.name}` },
+      { step: 'templateApp', passed: true, message: `Template app found: ${templateAppValidation.name}` }
+    ];
+
+    // The Engine checks run inside one selection-app session, which they share; only the
+    // row estimate check opens a private session of its own, since it clears selections.
+    // When the app can't be opened at all, every check reports that failure (openError)
+    // rather than running into the same timeout again.
+    const runEngineChecks = async (openError = null) => {
+      const engine = (work) => (openError ? Promise.reject(openError) : work());
+
+      try {
+        const expressionCheck = await engine(() => this.checkRowEstExpr(linkConfig.selectionAppId, linkConfig.rowEstExpr));
+        checks.push({
+          step: 'rowEstExpr',
+          passed: expressionCheck.valid,
+          value: expressionCheck.value,
+          message: expressionCheck.valid
+            ? `Row estimation expression evaluates to ${expressionCheck.text} in the unfiltered selection app`
+            : `Row estimation expression: ${expressionCheck.error}`
+        });
+      } catch (engineError) {
+        const syntaxCheck = this.checkExpressionSyntax(linkConfig.rowEstExpr);
+        checks.push({
+          step: 'rowEstExpr',
+          passed: syntaxCheck.valid,
+          message: syntaxCheck.valid
+            ? `Row estimation expression syntax looks valid (could not evaluate it over the Engine API: ${engineError.message})`
+            : `Row estimation expression: ${syntaxCheck.error}`
+        });
+      }
+
+      try {
+        const bindingCheck = await engine(() => this.checkTemplateBindings(linkConfig.templateAppId, linkConfig.selectionAppId));
+        checks.push({
+          step: 'templateBindings',
+          passed: bindingCheck.compatible,
+          missingFields: bindingCheck.missingFields,
+          message: bindingCheck.message
+        });
+      } catch (engineError) {
+        checks.push({ step: 'templateBindings', passed: false, message: `Could not check template bindings over the Engine API: ${engineError.message}` });
+      }
+
+      try {
+        const engineCheck = await engine(() => this.checkAppWritable(linkConfig.selectionAppId));
+        const published = selectionAppValidation.published;
+        const passed = published ? Boolean(publishedAppStrategy) : engineCheck.canSave;
+        checks.push({
+          step: 'engineAccess',
+          passed,
+          ...(published && !publishedAppStrategy && { publishedAppOptions: this.describePublishedAppOptions(selectionAppValidation).publishedAppOptions }),
+          message: published
+            ? publishedAppStrategy
+              ? `Selection app is published - navigation will be added using the "${publishedAppStrategy}" strategy: ${PUBLISHED_APP_STRATEGIES[publishedAppStrategy]}`
+              : this.describePublishedAppOptions(selectionAppValidation).error
+            : engineCheck.canSave
+              ? 'Selection app opened over the Engine API and the user has the update privilege on it'
+              : 'Selection app opened over the Engine API but the user lacks the update privilege on it'
+        });
+      } catch (engineError) {
+        checks.push({ step: 'engineAccess', passed: false, message: `Could not open selection app over the Engine API: ${engineError.message}` });
+      }
+
+      if (sheet) {
+        try {
+          const sheets = await engine(() => this.getAppSheets(linkConfig.selectionAppId));
+          const target = sheets.find(entry => entry.id === sheet.sheetId);
+          const conflict = target && findPlacementConflict(target, sheet.placement);
+          checks.push({
+            step: 'sheetPlacement',
+            passed: Boolean(target) && !conflict,
+            placement: sheet.placement,
+            message: !target
+              ? `Sheet ${sheet.sheetId} not found in selection app`
+              : conflict
+                ? `Navigation button cannot be placed on sheet "${target.title}": ${conflict}`
+                : `Navigation button fits on sheet "${target.title}" at col ${sheet.placement.col}, row ${sheet.placement.row}`
+          });
+        } catch (engineError) {
+          checks.push({ step: 'sheetPlacement', passed: false, message: `Could not list sheets over the Engine API: ${engineError.message}` });
+        }
+      }
+    };
+
+    let checksRan = false;
+    try {
+      await this.withEngineApp(linkConfig.selectionAppId, () => {
+        checksRan = true;
+        return runEngineChecks();
+      });
+    } catch (engineError) {
+      if (checksRan) {
+        console.error('Engine session for the dry run did not close cleanly:', engineError.message);
+      } else {
+        await runEngineChecks(engineError);
+      }
+    }
+
+    const odagPayload = this.buildODAGPayload(linkConfig);
+    const passed = checks.every(check => check.passed);
+
+    console.log('ODAG Payload (dry run):', JSON.stringify(odagPayload, null, 2));
+
+    return {
+      success: passed,
+      dryRun: true,
+      selectionAppId: linkConfig.selectionAppId,
+      templateAppId: linkConfig.templateAppId,
+      selectionAppName: selectionAppValidation.name,
+      templateAppName: templateAppValidation.name,
+      checks,
+      odagPayload,
+      message: passed
+        ? 'Dry run passed - the ODAG link can be created with this payload'
+        : 'Dry run found problems - see checks',
+      error: passed ? undefined : checks.filter(check => !check.passed).map(check => check.message).join('; ')
+    };
+  }
+
+  // Adding the navigation saves the selection app, which the impersonated user needs the
+  // update privilege for. Published apps are copied first, so they only need to be readable.
+  ensureCanUpdateSelectionApp(selectionAppValidation) {
+    const { privileges, published, name, id } = selectionAppValidation;
+    if (!this.config.impersonatedUser || published || !Array.isArray(privileges) || privileges.includes('update')) {
+      return;
+    }
+    throw new Error(`${this.config.impersonatedUser} is not allowed to update selection app "${name}" (${id}), which is needed to add the navigation link`);
+  }
+
+  async createCompleteODAGLink(options) {
+    const audit = options.audit || noAuditTrail;
+    const access = options.access || allowAll;
+    const linkName = options.linkName;
+    let currentStep = 'validate';
+    let duplicateApp = null;
+
+    try {
+      console.log('Starting ODAG link creation process...');
+      console.log('Authentication context:', `${this.config.userDirectory}\\${this.config.userId}`);
+
+      await this.ensureAuthenticated();
+
+      options = await this.resolveAppNames(options);
+
+      const { selectionAppValidation, templateAppValidation, ruleWarnings, sheet } = await this.validateLinkOptions(options);
+      this.ensureCanUpdateSelectionApp(selectionAppValidation);
+      let warnings = ruleWarnings.length > 0 ? ruleWarnings : undefined;
+      audit.step('validate', 'success', { linkName, selectionAppId: options.selectionAppId, templateAppId: options.templateAppId });
+
+      const linkConfig = {
+        name: options.linkName,
+        selectionAppId: options.selectionAppId,
+        templateAppId: options.templateAppId,
+        rowEstExpr: options.rowEstExpr,
+        rowEstRange: options.rowEstRange,
+        appRetentionTime: options.appRetentionTime,
+        genAppName: options.genAppName
+      };
+
+      const denial = access.checkLink({
+        selectionApp: selectionAppValidation,
+        templateApp: templateAppValidation,
+        rowEstRange: this.buildODAGPayload(linkConfig).properties.rowEstRange
+      });
+      if (denial) {
+        audit.step('authorization', 'failed', { linkName, rule: denial.rule, error: denial.reason });
+        return this.forbidden(denial, { failedStep: 'authorization', ...(options.dryRun && { dryRun: true }) });
+      }
+
+      if (options.dryRun) {
+        return { ...await this.previewODAGLink(linkConfig, selectionAppValidation, templateAppValidation, sheet, options.publishedAppStrategy), warnings };
+      }
+
+      if (selectionAppValidation.published && !options.publishedAppStrategy) {
+        console.log('Selection app is published and no publishedAppStrategy was given - nothing created');
+        audit.step('publishedSelectionApp', 'failed', { linkName, error: 'No publishedAppStrategy given for a published selection app' });
+        return { success: false, failedStep: 'publishedSelectionApp', ...this.describePublishedAppOptions(selectionAppValidation) };
+      }
+
+      currentStep = 'rowEstExpr';
+      const expressionWarning = await this.ensureValidRowEstExpr(options.selectionAppId, options.rowEstExpr);
+      audit.step('rowEstExpr', expressionWarning ? 'skipped' : 'success', { linkName, message: expressionWarning || undefined });
+
+      currentStep = 'templateBindings';
+      const bindingWarning = await this.ensureCompatibleTemplate(
+        options.templateAppId,
+        options.selectionAppId,
+        options.bindingCheck || this.config.bindingCheck || 'fail'
+      );
+      audit.step('templateBindings', bindingWarning ? 'warning' : 'success', { linkName, message: bindingWarning || undefined });
+      for (const warning of [expressionWarning, bindingWarning].filter(Boolean)) {
+        warnings = [...(warnings || []), warning];
+      }
+
+      if (selectionAppValidation.published && options.publishedAppStrategy === 'duplicate') {
+        currentStep = 'duplicateSelectionApp';
+        duplicateApp = await this.duplicateSelectionApp(selectionAppValidation, linkName);
+        linkConfig.selectionAppId = duplicateApp.id;
+        audit.step('duplicateSelectionApp', 'success', { linkName, appId: duplicateApp.id, appName: duplicateApp.name });
+      }
+
+      currentStep = 'createODAGLink';
+      console.log('Creating ODAG link...');
+      audit.payload(this.buildODAGPayload(linkConfig));
+      const odagLink = await this.createODAGLink(linkConfig);
+      audit.link(odagLink.id);
+      audit.step('createODAGLink', 'success', { linkName, odagLinkId: odagLink.id });
+
+      console.log('Adding navigation link to selection app...');
+      try {
+        const navigation = await this.addNavigationToSelectionApp(
+          selectionAppValidation,
+          odagLink.id, 
+          options.linkName,
+          options.description || 'On-demand app generation link',
+          sheet,
+          options.publishedAppStrategy,
+          duplicateApp
+        );
+
+        audit.step('addNavigationLink', 'success', {
+          linkName,
+          sheetObjectId: navigation.sheetObjectId || undefined,
+          publishedApp: navigation.publishedApp
+        });
+        console.log('ODAG link creation completed successfully!');
+        
+        return {
+          success: true,
+          odagLinkId: odagLink.id,
+          selectionAppId: linkConfig.selectionAppId,
+          templateAppId: options.templateAppId,
+          selectionAppName: duplicateApp ? duplicateApp.name : selectionAppValidation.name,
+          templateAppName: templateAppValidation.name,
+          navigationAppId: linkConfig.selectionAppId,
+          message: 'ODAG link created and registered in Hub successfully',
+          ...(navigation.sheetObjectId && { sheetId: sheet.sheetId, sheetObjectId: navigation.sheetObjectId }),
+          ...(navigation.publishedApp && { publishedApp: navigation.publishedApp }),
+          warnings
+        };
+
+      } catch (navError) {
+        audit.step('addNavigationLink', 'failed', { linkName, error: navError.message });
+
+        if (!options.allowPartial) {
+          console.log('Navigation link failed - rolling back ODAG link...');
+
+          let rollbackError = null;
+          try {
+            await this.removeODAGLink(odagLink.id);
+            console.log(`Rolled back ODAG link: ${odagLink.id}`);
+          } catch (error) {
+            rollbackError = error.message;
+            console.error(`Rollback of ODAG link ${odagLink.id} failed:`, error.message);
+          }
+          audit.step('rollback', rollbackError ? 'failed' : 'success', { linkName, odagLinkId: odagLink.id, error: rollbackError || undefined });
+          if (duplicateApp && !rollbackError) {
+            await this.deleteDuplicateApp(duplicateApp);
+          }
+
+          return {
+            success: false,
+            failedStep: 'addNavigationLink',
+            rolledBack: !rollbackError,
+            odagLinkId: odagLink.id,
+            error: rollbackError
+              ? `Navigation link failed: ${navError.message}. Rollback failed, ODAG link ${odagLink.id} must be deleted manually: ${rollbackError}`
+              : `Navigation link failed: ${navError.message}. The ODAG link was rolled back.`,
+            navigationLinkError: navError.message,
+            rollbackError
+          };
+        }
+
+        console.log('PARTIAL SUCCESS - ODAG link created but navigation link failed');
+        
+        return {
+          success: true,
+          partial: true,
+          odagLinkId: odagLink.id,
+          selectionAppId: linkConfig.selectionAppId,
+          templateAppId: options.templateAppId,
+          selectionAppName: duplicateApp ? duplicateApp.name : selectionAppValidation.name,
+          templateAppName: templateAppValidation.name,
+          message: duplicateApp
+            ? `ODAG link created and bound to the unpublished copy "${duplicateApp.name}" (${duplicateApp.id}). Navigation link must be added to that copy manually.`
+            : 'ODAG link created successfully. Navigation link must be added manually.',
+          navigationLinkError: navError.message,
+          warnings
+        };
+      }
+
+    } catch (error) {
+      console.error('ODAG link creation failed:', error.message);
+      audit.step(currentStep, 'failed', { linkName, error: error.message });
+      if (duplicateApp && currentStep === 'createODAGLink') {
+        await this.deleteDuplicateApp(duplicateApp);
+      }
+      return {
+        success: false,
+        ...(options.dryRun && { dryRun: true }),
+        error: error.message
+      };
+    }
+  }
+
+  async deleteDuplicateApp(duplicateApp) {
+    await this.deleteApp(duplicateApp.id).catch(cleanupError => console.error(`Could not delete app copy ${duplicateApp.id}:`, cleanupError.message));
+  }
+
+  async createODAGLinksBulk(rows, options = {}) {
+    console.log(`Starting bulk ODAG link creation for ${rows.length} row(s)...`);
+
+    const results = rows.map((row, index) => ({
+      row: index + 1,
+      linkName: row && row.linkName,
+      selectionAppId: row && row.selectionAppId,
+      templateAppId: row && row.templateAppId,
+      status: 'pending'
+    }));
+    const validRows = [];
+    const seenNames = new Set();
+
+    console.log('Validating manifest rows...');
+    for (const [index, row] of rows.entries()) {
+      try {
+        const linkOptions = await this.resolveAppNames(manifestRowToLinkOptions(row));
+        if (seenNames.has(linkOptions.linkName)) {
+          throw new Error(`Duplicate linkName in manifest: ${linkOptions.linkName}`);
+        }
+        seenNames.add(linkOptions.linkName);
+
+        const { selectionAppValidation, templateAppValidation } = await this.validateLinkOptions(linkOptions);
+        const denial = (options.access || allowAll).checkLink({
+          selectionApp: selectionAppValidation,
+          templateApp: templateAppValidation,
+          rowEstRange: this.buildODAGPayload(linkOptions).properties.rowEstRange
+        });
+        if (denial) {
+          throw new Error(denial.message);
+        }
+        validRows.push({ index, linkOptions });
+      } catch (error) {
+        results[index].status = 'invalid';
+        results[index].error = error.message;
+      }
+    }
+
+    const invalidCount = rows.length - validRows.length;
+    if (rows.length === 0 || (invalidCount > 0 && !options.skipInvalid)) {
+      for (const { index } of validRows) {
+        results[index].status = 'skipped';
+      }
+      return {
+        success: false,
+        total: rows.length,
+        created: 0,
+        failed: 0,
+        invalid: invalidCount,
+        results,
+        error: rows.length === 0
+          ? 'Manifest contains no link definitions'
+          : `${invalidCount} row(s) failed validation - no links were created`
+      };
+    }
+
+    for (const { index, linkOptions } of validRows) {
+      const result = await this.createCompleteODAGLink({
+        ...linkOptions,
+        allowPartial: options.allowPartial,
+        publishedAppStrategy: options.publishedAppStrategy,
+        audit: options.audit,
+        access: options.access
+      });
+      Object.assign(results[index], {
+        status: result.success ? (result.partial ? 'partial' : 'created') : 'failed',
+        odagLinkId: result.success ? result.odagLinkId : undefined,
+        error: result.success ? result.navigationLinkError : result.error
+      });
+    }
+
+    const count = (status) => results.filter(result => result.status === status).length;
+    const failed = count('failed');
+
+    console.log(`Bulk ODAG link creation completed: ${count('created') + count('partial')} created, ${failed} failed`);
+
+    return {
+      success: failed === 0,
+      total: rows.length,
+      created: count('created') + count('partial'),
+      partial: count('partial'),
+      failed,
+      invalid: invalidCount,
+      results
+    };
+  }
+
+  // Computes the actions needed to make the ODAG service match the desired link
+  // definitions. Links are matched by name; links on the server that are not in
+  // the desired state are only deleted when `prune` is set.
+  async planODAGSync(desiredRows, options = {}) {
+    console.log(`Planning ODAG sync for ${desiredRows.length} desired link(s)...`);
+
+    const rulesKey = (rules) => JSON.stringify((rules || []).map(rule =>
+      Object.keys(rule).sort().reduce((sorted, key) => ({ ...sorted, [key]: rule[key] }), {})
+    ));
+
+    // Required fields are checked on every row first, so a row without a name is not
+    // reported as a duplicate of another unnamed row
+    const rows = desiredRows.map(row => manifestRowToLinkOptions(row));
+    if (rows.some(linkOptions => !linkOptions.linkName)) {
+      throw new Error('Every desired link must have a linkName');
+    }
+
+    const desired = [];
+    for (const linkOptions of rows) {
+      desired.push(await this.resolveAppNames(linkOptions));
+    }
+    const names = desired.map(link => link.linkName);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+      throw new Error(`Duplicate linkName in desired state: ${duplicate}`);
+    }
+
+    const existing = await this.listODAGLinks();
+    const existingByName = new Map();
+    for (const link of existing) {
+      existingByName.set(link.name, [...(existingByName.get(link.name) || []), link]);
+    }
+    const actions = [];
+
+    for (const linkOptions of desired) {
+      const matching = existingByName.get(linkOptions.linkName) || [];
+      const current = matching[0];
+      const target = this.buildODAGPayload({ ...linkOptions, name: linkOptions.linkName });
+
+      // Links are matched by name, so with several server links of that name it can't
+      // tell which one to change
+      if (matching.length > 1) {
+        actions.push({
+          action: 'ambiguous',
+          linkName: linkOptions.linkName,
+          odagLinkIds: matching.map(link => link.id),
+          error: `${matching.length} links named "${linkOptions.linkName}" exist on the server (${matching.map(link => link.id).join(', ')}) - delete or rename the extra ones`
+        });
+        continue;
+      }
+
+      if (!current) {
+        actions.push({ action: 'create', linkName: linkOptions.linkName, options: linkOptions });
+        continue;
+      }
+
+      if (current.selectionAppId !== linkOptions.selectionAppId || current.templateAppId !== linkOptions.templateAppId) {
+        actions.push({
+          action: 'replace',
+          linkName: linkOptions.linkName,
+          odagLinkId: current.id,
+          changes: ['selectionAppId', 'templateAppId'].filter(field => current[field] !== linkOptions[field]),
+          options: linkOptions
+        });
+        continue;
+      }
+
+      const changes = [];
+      if (current.rowEstExpr !== target.rowEstExpr) changes.push('rowEstExpr');
+      for (const field of ['rowEstRange', 'appRetentionTime', 'genAppName']) {
+        if (rulesKey(current[field]) !== rulesKey(target.properties[field])) changes.push(field);
+      }
+
+      actions.push(changes.length > 0
+        ? { action: 'update', linkName: linkOptions.linkName, odagLinkId: current.id, changes, options: linkOptions }
+        : { action: 'unchanged', linkName: linkOptions.linkName, odagLinkId: current.id });
+    }
+
+    for (const link of existing) {
+      if (!names.includes(link.name)) {
+        actions.push({
+          action: options.prune ? 'delete' : 'unmanaged',
+          linkName: link.name,
+          odagLinkId: link.id
+        });
+      }
+    }
+
+    const summary = {};
+    for (const { action } of actions) {
+      summary[action] = (summary[action] || 0) + 1;
+    }
+
+    return { prune: Boolean(options.prune), summary, actions };
+  }
+
+  async applyODAGSync(plan, options = {}) {
+    console.log('Applying ODAG sync plan...');
+
+    const results = [];
+    for (const step of plan.actions) {
+      const { action, linkName, odagLinkId } = step;
+      let result;
+
+      switch (action) {
+        case 'create':
+          result = await this.createCompleteODAGLink({ ...step.options, allowPartial: options.allowPartial, publishedAppStrategy: options.publishedAppStrategy, audit: options.audit, access: options.access });
+          break;
+        case 'update': {
+          // Omitted rules fall back to the same defaults a newly created link would get
+          const target = this.buildODAGPayload({ ...step.options, name: step.options.linkName });
+          result = await this.updateODAGLink(odagLinkId, {
+            linkName: step.options.linkName,
+            rowEstExpr: target.rowEstExpr,
+            ...target.properties
+          }, { audit: options.audit, access: options.access });
+          break;
+        }
+        case 'replace': {
+          // The new link is created before the old one is deleted, so a failed create
+          // leaves the old link in place
+          const denial = await this.checkLinkAccess(options.access || allowAll, await this.getODAGLink(odagLinkId));
+          if (denial) {
+            result = this.forbidden(denial, { odagLinkId });
+            break;
+          }
+          const created = await this.createCompleteODAGLink({ ...step.options, allowPartial: options.allowPartial, publishedAppStrategy: options.publishedAppStrategy, audit: options.audit, access: options.access });
+          if (!created.success) {
+            result = created;
+            break;
+          }
+          const deleted = await this.deleteCompleteODAGLink(odagLinkId, { audit: options.audit, access: options.access });
+          result = deleted.success
+            ? { ...created, partial: created.partial || deleted.partial }
+            : { ...created, success: false, error: `Created ${created.odagLinkId} but the old link ${odagLinkId} could not be deleted: ${deleted.error}` };
+          break;
+        }
+        case 'delete':
+          result = await this.deleteCompleteODAGLink(odagLinkId, { audit: options.audit, access: options.access });
+          break;
+        case 'ambiguous':
+          result = { success: false, error: step.error };
+          break;
+        default:
+          continue;
+      }
+
+      results.push({
+        action,
+        linkName,
+        odagLinkId: result.odagLinkId || odagLinkId,
+        success: result.success,
+        partial: result.partial || undefined,
+        error: result.error
+      });
+    }
+
+    const failed = results.filter(result => !result.success).length;
+    console.log(`ODAG sync applied: ${results.length - failed} action(s) succeeded, ${failed} failed`);
+
+    return { success: failed === 0, applied: results.length - failed, failed, results };
+  }
+
+  // Reads a link from this environment and plans (or applies) the same link in
+  // `targetService`'s environment. Apps are mapped through options.appMapping
+  // ({ sourceAppId: targetAppId }) first, then by name and stream.
+  async promoteODAGLink(linkId, targetService, options = {}) {
+    const sourceEnvironment = this.config.environment;
+    const targetEnvironment = targetService.config.environment;
+
+    console.log(`Promoting ODAG link ${linkId} from ${sourceEnvironment} to ${targetEnvironment}...`);
+
+    if (targetService === this) {
+      throw new Error('Source and target environment must be different');
+    }
+
+    const link = await this.getODAGLink(linkId);
+    const appMapping = options.appMapping || {};
+    const mappedApps = {};
+
+    for (const role of ['selection', 'template']) {
+      const source = await this.getApp(link[`${role}AppId`]);
+      const targetId = appMapping[source.id] || await targetService.getAppIdByName(source.name, source.stream || undefined);
+      const target = await targetService.getApp(targetId);
+      mappedApps[role] = {
+        source,
+        target,
+        mappedBy: appMapping[source.id] ? 'mapping' : 'name'
+      };
+    }
+
+    const row = {
+      linkName: link.name,
+      selectionAppId: mappedApps.selection.target.id,
+      templateAppId: mappedApps.template.target.id,
+      rowEstExpr: link.rowEstExpr,
+      rowEstRange: link.rowEstRange.length > 0 ? link.rowEstRange : undefined,
+      appRetentionTime: link.appRetentionTime.length > 0 ? link.appRetentionTime : undefined,
+      genAppName: link.genAppName.length > 0 ? link.genAppName : undefined
+    };
+
+    const syncPlan = await targetService.planODAGSync([row]);
+    const step = syncPlan.actions.find(action => action.linkName === link.name);
+    const current = step.odagLinkId ? await targetService.getODAGLink(step.odagLinkId) : null;
+
+    const diff = ['selectionAppId', 'templateAppId', 'rowEstExpr', 'rowEstRange', 'appRetentionTime', 'genAppName']
+      .map(field => ({ field, current: current ? current[field] : null, promoted: row[field] ?? link[field] }))
+      .filter(change => JSON.stringify(change.current) !== JSON.stringify(change.promoted));
+
+    const plan = {
+      sourceEnvironment,
+      targetEnvironment,
+      linkName: link.name,
+      sourceLinkId: link.id,
+      targetLinkId: step.odagLinkId || null,
+      action: step.action,
+      apps: mappedApps,
+      diff
+    };
+
+    if (!options.apply) {
+      return { success: true, applied: false, plan };
+    }
+
+    // Checked here for every action: an unchanged link is skipped by applyODAGSync, but
+    // its navigation object is still written into the target selection app below
+    const denial = await targetService.checkLinkAccess(options.access || allowAll, row,
+      targetService.buildODAGPayload(row).properties.rowEstRange);
+    if (denial) {
+      return { ...targetService.forbidden(denial, { odagLinkId: step.odagLinkId || null }), applied: false, plan };
+    }
+
+    const applied = await targetService.applyODAGSync({ actions: [step] }, {
+      allowPartial: options.allowPartial,
+      publishedAppStrategy: options.publishedAppStrategy,
+      audit: options.audit,
+      access: options.access
+    });
+    const result = applied.results[0];
+    // An unchanged link has no result; anything else must have been applied first
+    const linkApplied = result ? result.success : true;
+
+    if (linkApplied && (step.action === 'update' || step.action === 'unchanged')) {
+      try {
+        plan.navigationLinkAdded = await targetService.ensureNavigationLink(row.selectionAppId, step.odagLinkId, link.name);
+      } catch (navError) {
+        return { success: false, applied: true, plan, error: `Link promoted but navigation link could not be verified: ${navError.message}` };
+      }
+    }
+
+    console.log(`Promotion of ${link.name} to ${targetEnvironment}: ${result ? (result.success ? 'done' : 'failed') : 'unchanged'}`);
+
+    return {
+      success: linkApplied,
+      applied: linkApplied,
+      odagLinkId: result ? result.odagLinkId : step.odagLinkId,
+      plan,
+      error: result ? result.error : undefined
+    };
+  }
+
+  // Portable bundles carry app names and streams next to the IDs, so they can be
+  // re-resolved on import into another environment or after apps were recreated.
+  async exportODAGLinks(selection = {}) {
+    const links = selection.linkId
+      ? [await this.getODAGLink(selection.linkId)]
+      : await this.listODAGLinks(selection);
+
+    console.log(`Exporting ${links.length} ODAG link(s)...`);
+
+    // An app that can't be looked up is exported by ID only, which import falls back to
+    const apps = new Map();
+    const warnings = [];
+    const describeApp = async (appId) => {
+      if (!apps.has(appId)) {
+        try {
+          const app = await this.getApp(appId);
+          apps.set(appId, { id: app.id, name: app.name, stream: app.stream });
+        } catch (error) {
+          console.error(`Could not look up app ${appId} for export:`, error.message);
+          warnings.push(`App ${appId} could not be looked up (${error.message}) - exported by ID only`);
+          apps.set(appId, { id: appId, name: null, stream: null });
+        }
+      }
+      return apps.get(appId);
+    };
+
+    const exported = [];
+    for (const link of links) {
+      exported.push({
+        linkName: link.name,
+        selectionApp: await describeApp(link.selectionAppId),
+        templateApp: await describeApp(link.templateAppId),
+        rowEstExpr: link.rowEstExpr,
+        rowEstRange: link.rowEstRange,
+        appRetentionTime: link.appRetentionTime,
+        genAppName: link.genAppName
+      });
+    }
+
+    return {
+      format: 'odag-link-bundle',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      sourceEnvironment: this.config.environment,
+      sourceHost: this.config.qlikHost,
+      ...(warnings.length > 0 && { warnings }),
+      links: exported
+    };
+  }
+
+  validateBundle(bundle, options = {}) {
+    if (!bundle || bundle.format !== 'odag-link-bundle' || !Array.isArray(bundle.links)) {
+      throw new Error('Invalid bundle: expected an odag-link-bundle with a "links" array');
+    }
+    if (bundle.version !== 1) {
+      throw new Error(`Unsupported bundle version: ${bundle.version}`);
+    }
+
+    if (options.onCollision && !['refuse', 'rename'].includes(options.onCollision)) {
+      throw new Error(`Invalid onCollision option: ${options.onCollision} (expected "refuse" or "rename")`);
+    }
+  }
+
+  async importODAGLinks(bundle, options = {}) {
+    this.validateBundle(bundle, options);
+
+    const onCollision = options.onCollision || 'refuse';
+
+    console.log(`Importing ${bundle.links.length} ODAG link(s) from ${bundle.sourceEnvironment || 'bundle'}...`);
+
+    const takenNames = new Set((await this.listODAGLinks()).map(link => link.name));
+    const results = [];
+
+    for (const entry of bundle.links) {
+      const result = { linkName: entry.linkName };
+      results.push(result);
+
+      let linkName = entry.linkName;
+      if (takenNames.has(linkName)) {
+        if (onCollision === 'refuse') {
+          Object.assign(result, { status: 'conflict', error: `A link named "${linkName}" already exists` });
+          continue;
+        }
+        let suffix = 2;
+        while (takenNames.has(`${entry.linkName} (${suffix})`)) suffix++;
+        linkName = `${entry.linkName} (${suffix})`;
+        result.renamedTo = linkName;
+      }
+
+      // Apps are found through appMapping, then by name and stream. The exported ID is
+      // used when the bundle has no name or the name doesn't resolve here.
+      const importWarnings = [];
+      const resolveApp = async (role, app) => {
+        const mapped = options.appMapping && app && options.appMapping[app.id];
+        if (mapped) return mapped;
+        if (!app || (!app.name && !app.id)) {
+          throw new Error(`The bundle has no ${role} app for this link`);
+        }
+        if (app.name) {
+          try {
+            return await this.getAppIdByName(app.name, app.stream || undefined);
+          } catch (error) {
+            if (!app.id) throw error;
+            await this.getApp(app.id).catch(() => { throw error; });
+            importWarnings.push(`${role} app "${app.name}" could not be resolved by name (${error.message}) - using its exported ID ${app.id}`);
+            return app.id;
+          }
+        }
+        await this.getApp(app.id);
+        importWarnings.push(`${role} app has no name in the bundle - using its exported ID ${app.id}`);
+        return app.id;
+      };
+
+      let selectionAppId;
+      let templateAppId;
+      try {
+        selectionAppId = await resolveApp('selection', entry.selectionApp);
+        templateAppId = await resolveApp('template', entry.templateApp);
+      } catch (error) {
+        (options.audit || noAuditTrail).step('resolveApps', 'failed', { linkName, error: error.message });
+        Object.assign(result, { status: 'failed', error: error.message, warnings: importWarnings.length > 0 ? importWarnings : undefined });
+        continue;
+      }
+
+      const created = await this.createCompleteODAGLink({
+        linkName,
+        selectionAppId,
+        templateAppId,
+        rowEstExpr: entry.rowEstExpr,
+        rowEstRange: entry.rowEstRange && entry.rowEstRange.length > 0 ? entry.rowEstRange : undefined,
+        appRetentionTime: entry.appRetentionTime && entry.appRetentionTime.length > 0 ? entry.appRetentionTime : undefined,
+        genAppName: entry.genAppName && entry.genAppName.length > 0 ? entry.genAppName : undefined,
+        allowPartial: options.allowPartial,
+        publishedAppStrategy: options.publishedAppStrategy,
+        audit: options.audit,
+        access: options.access,
+        dryRun: options.dryRun
+      });
+
+      if (created.success) {
+        takenNames.add(linkName);
+      }
+
+      Object.assign(result, {
+        status: created.success ? (options.dryRun ? 'valid' : created.partial ? 'partial' : 'created') : 'failed',
+        odagLinkId: created.odagLinkId,
+        selectionAppId: created.selectionAppId,
+        templateAppId: created.templateAppId,
+        error: created.success ? created.navigationLinkError : created.error,
+        warnings: importWarnings.length > 0 || created.warnings ? [...importWarnings, ...(created.warnings || [])] : undefined
+      });
+    }
+
+    const failed = results.filter(result => ['failed', 'conflict'].includes(result.status)).length;
+    console.log(`Import completed: ${results.length - failed} succeeded, ${failed} failed`);
+
+    return { success: failed === 0, total: results.length, failed, dryRun: Boolean(options.dryRun), results };
+  }
+
+  async updateODAGLink(linkId, changes, { audit = noAuditTrail, access = allowAll } = {}) {
+    try {
+      console.log(`Starting ODAG link update: ${linkId}`);
+      audit.link(linkId);
+
+      const current = await this.getODAGLink(linkId);
+      const withDefault = (value, fallback) => (value !== undefined ? value : fallback);
+      const keepRules = (rules) => (rules && rules.length > 0 ? rules : undefined);
+
+      const options = {
+        linkName: withDefault(changes.linkName, current.name),
+        selectionAppId: current.selectionAppId,
+        templateAppId: current.templateAppId,
+        rowEstExpr: withDefault(changes.rowEstExpr, current.rowEstExpr),
+        rowEstRange: withDefault(changes.rowEstRange, keepRules(current.rowEstRange)),
+        appRetentionTime: withDefault(changes.appRetentionTime, keepRules(current.appRetentionTime)),
+        genAppName: withDefault(changes.genAppName, keepRules(current.genAppName))
+      };
+
+      const { selectionAppValidation, templateAppValidation, ruleWarnings } = await this.validateLinkOptions(options);
+      const warnings = [...ruleWarnings];
+
+      const denial = access.checkLink({
+        selectionApp: selectionAppValidation,
+        templateApp: templateAppValidation,
+        rowEstRange: this.buildODAGPayload({ rowEstRange: options.rowEstRange }).properties.rowEstRange
+      });
+      if (denial) {
+        audit.step('authorization', 'failed', { odagLinkId: linkId, rule: denial.rule, error: denial.reason });
+        return this.forbidden(denial, { odagLinkId: linkId });
+      }
+
+      if (options.rowEstExpr !== current.rowEstExpr) {
+        const expressionWarning = await this.ensureValidRowEstExpr(options.selectionAppId, options.rowEstExpr);
+        if (expressionWarning) warnings.push(expressionWarning);
+      }
+
+      const odagPayload = this.buildODAGPayload({
+        name: options.linkName,
+        selectionAppId: options.selectionAppId,
+        templateAppId: options.templateAppId,
+        rowEstExpr: options.rowEstExpr,
+        rowEstRange: options.rowEstRange,
+        appRetentionTime: options.appRetentionTime,
+        genAppName: options.genAppName
+      });
+
+      console.log('ODAG Payload:', JSON.stringify(odagPayload, null, 2));
+
+      audit.payload(odagPayload);
+      const url = `${this.getODAGBaseUrl()}/links/${linkId}?xrfkey=${this.xrfKey}`;
+      await axios.put(url, odagPayload, this.axiosConfig);
+      audit.step('updateODAGLink', 'success', { odagLinkId: linkId, linkName: options.linkName });
+
+      console.log(`ODAG link updated successfully: ${linkId}`);
+
+      return {
+        success: true,
+        odagLinkId: linkId,
+        selectionAppName: selectionAppValidation.name,
+        templateAppName: templateAppValidation.name,
+        link: await this.getODAGLink(linkId),
+        message: 'ODAG link updated successfully',
+        warnings: warnings.length > 0 ? warnings : undefined
+      };
+
+    } catch (error) {
+      console.error('ODAG link update failed:', error.response?.data || error.message);
+      audit.step('updateODAGLink', 'failed', { odagLinkId: linkId, error: error.message });
+      return {
+        success: false,
+        error: error.response
+          ? this.describeODAGError(error, 'Failed to update ODAG link', `ODAG link not found: ${linkId}`).message
+          : error.message
+      };
+    }
+  }
+
+  async deleteCompleteODAGLink(linkId, options = {}) {
+    const audit = options.audit || noAuditTrail;
+    const steps = {};
+    audit.link(linkId);
+
+    try {
+      console.log(`Starting ODAG link deletion: ${linkId}`);
+
+      const link = await this.getODAGLink(linkId);
+      const denial = await this.checkLinkAccess(options.access || allowAll, link);
+      if (denial) {
+        audit.step('authorization', 'failed', { odagLinkId: linkId, rule: denial.rule, error: denial.reason });
+        return this.forbidden(denial, { odagLinkId: linkId });
+      }
+
+      if (options.deleteApps) {
+        console.log('Deleting generated apps...');
+        steps.generatedApps = await this.deleteGeneratedApps(linkId);
+      }
+
+      console.log('Removing navigation links from selection apps...');
+      steps.navigationLinks = [];
+      for (const appId of await this.findNavigationLinkApps(link)) {
+        try {
+          const removed = await this.removeNavigationLinksFromApp(appId, linkId);
+          steps.navigationLinks.push({ appId, removedObjects: removed });
+        } catch (navError) {
+          console.error(`Failed to clean up navigation links in app ${appId}:`, navError.message);
+          steps.navigationLinks.push({ appId, error: navError.message, ...(navError.published && { published: true }) });
+        }
+      }
+
+      await this.removeODAGLink(linkId);
+
+      const failedApps = steps.navigationLinks.filter(result => result.error);
+      const failedGeneratedApps = steps.generatedApps ? steps.generatedApps.failed : [];
+      const partial = failedApps.length > 0 || failedGeneratedApps.length > 0;
+      audit.step('deleteODAGLink', partial ? 'partial' : 'success', { odagLinkId: linkId, linkName: link.name, ...steps });
+
+      console.log('ODAG link deletion completed');
+
+      const problems = [
+        failedApps.length > 0 ? `Navigation objects could not be removed from ${failedApps.length} app(s).` : null,
+        failedGeneratedApps.length > 0 ? `${failedGeneratedApps.length} generated app(s) could not be deleted.` : null
+      ].filter(Boolean);
+
+      // Navigation objects left in a published app point at a link that no longer
+      // exists; they have to be removed in the hub (unapprove, then delete)
+      const warnings = failedApps
+        .filter(result => result.published)
+        .map(result => `Published app ${result.appId} still carries the navigation object for the deleted link - unapprove and delete it in the hub`);
+
+      return {
+        success: true,
+        partial,
+        odagLinkId: linkId,
+        linkName: link.name,
+        steps,
+        ...(warnings.length > 0 && { warnings }),
+        message: partial
+          ? `ODAG link deleted. ${problems.join(' ')}`
+          : 'ODAG link and its navigation objects deleted successfully'
+      };
+
+    } catch (error) {
+      console.error('ODAG link deletion failed:', error.message);
+      audit.step('deleteODAGLink', 'failed', { odagLinkId: linkId, error: error.message });
+      return {
+        success: false,
+        odagLinkId: linkId,
+        steps,
+        error: error.message
+      };
+    }
+  }
+
+  async testConnection() {
+    try {
+      console.log('Testing Qlik Sense connection...');
+      
+      await this.authenticate();
+      console.log('QRS API: Connection working');
+      
+      try {
+        const url = `${this.getODAGBaseUrl()}/links?xrfkey=${this.xrfKey}`;
+        const response = await axios.get(url, this.axiosConfig);
+        console.log('ODAG API: Connection working');
+      } catch (odagError) {
+        console.log('ODAG API: Connection failed -', odagError.message);
+      }
+      
+      return {
+        success: true,
+        message: 'Connection test completed',
+        qrsApi: 'working',
+        authentication: 'successful'
+      };
+      
+    } catch (error) {
+      console.error('Connection test failed:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+// Environment profiles inherit every top-level setting from config.js and override
+// the connection details (host, ports, certificates, service user) they need.
+// Without any profiles, the top-level settings form a single "default" environment.
+const environmentConfigs = Object.keys(config.environments || {}).length > 0
+  ? Object.fromEntries(Object.entries(config.environments).map(([name, profile]) => {
+      const { environments, defaultEnvironment, ...shared } = config;
+      return [name, { ...shared, ...profile, environment: name }];
+    }))
+  : { default: { ...config, environment: 'default' } };
+
+const defaultEnvironment = config.defaultEnvironment || Object.keys(environmentConfigs)[0];
+
+if (!environmentConfigs[defaultEnvironment]) {
+  throw new Error(`defaultEnvironment "${defaultEnvironment}" is not defined in config.environments`);
+}
+
+const odagServices = new Map();
+const impersonatedServices = new Map();
+const maxImpersonatedServices = config.maxImpersonatedUsers || 100;
+
+// One ODAGLinkCreator per environment, created the first time it is used. With
+// impersonation enabled each caller gets their own, so every QRS, ODAG and Engine
+// call carries the caller's Qlik user and Qlik security rules apply to them. Those
+// share the environment's https agent and only the least recently used
+// maxImpersonatedUsers are kept.
+function getODAGService(environment = defaultEnvironment, identity = null) {
+  if (!environmentConfigs[environment]) {
+    throw new Error(`Unknown environment: ${environment}. Available: ${Object.keys(environmentConfigs).join(', ')}`);
+  }
+
+  const envConfig = environmentConfigs[environment];
+  if (!envConfig.impersonation || !identity) {
+    if (!odagServices.has(environment)) {
+      odagServices.set(environment, new ODAGLinkCreator(envConfig));
+    }
+    return odagServices.get(environment);
+  }
+
+  if (!identity.userDirectory || !identity.userId) {
+    throw new Error(`Impersonation is enabled for ${environment} but ${identity.id} is not mapped to a Qlik user (DIRECTORY\\userId)`);
+  }
+  const qlikUser = `${identity.userDirectory}\\${identity.userId}`;
+  const key = `${environment}|${qlikUser.toLowerCase()}`;
+  let service = impersonatedServices.get(key);
+  if (service) {
+    impersonatedServices.delete(key);
+  } else {
+    service = new ODAGLinkCreator({
+      ...envConfig,
+      userDirectory: identity.userDirectory,
+      userId: identity.userId,
+      impersonatedUser: qlikUser
+    }, getODAGService(environment).httpsAgent);
+    if (impersonatedServices.size >= maxImpersonatedServices) {
+      impersonatedServices.delete(impersonatedServices.keys().next().value);
+    }
+  }
+  // Map order is insertion order, so re-inserting keeps the most recent user last
+  impersonatedServices.set(key, service);
+  return service;
+}
+
+// Create service instance for the default environment
+const odagService = getODAGService();
+
+const auditLog = new AuditLog(config.auditLogFile || 'audit-log.jsonl');
+const authenticator = new Authenticator({ ...config.auth, defaultUserDirectory: config.userDirectory });
+const authorizer = new Authorizer(config.authorizationFile);
+
+// Create Express app
+const app = express();
+app.use(express.json({ limit: '5mb' }));
+
+app.post('/api/auth/login', (req, res) => {
+  const username = req.body?.username;
+  const password = req.body?.password;
+  if (typeof username !== 'string' || !username || typeof password !== 'string' || !password) {
+    return res.status(400).json({ success: false, error: 'username and password are required' });
+  }
+
+  try {
+    const lockedOutFor = authenticator.lockedOutFor(username, req.ip);
+    if (lockedOutFor > 0) {
+      console.log(`Sign-in for ${username} from ${req.ip} refused: locked out after too many failed attempts`);
+      res.set('Retry-After', String(Math.ceil(lockedOutFor / 1000)));
+      return res.status(429).json({ success: false, error: `Too many failed sign-ins. Try again in ${Math.ceil(lockedOutFor / 60000)} minute(s).` });
+    }
+
+    const session = authenticator.login(username, password, req.ip);
+    if (!session) {
+      console.log(`Failed sign-in for ${username} from ${req.ip}`);
+      return res.status(401).json({ success: false, error: 'Invalid user name or password' });
+    }
+
+    console.log(`Signed in: ${session.identity.id} from ${req.ip}`);
+    res.cookie(SESSION_COOKIE, session.token, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: req.secure,
+      maxAge: authenticator.sessionTimeout
+    });
+    res.json({ success: true, identity: session.identity });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  authenticator.logout(req);
+  res.clearCookie(SESSION_COOKIE);
+  res.json({ success: true });
+});
+
+// Every other API call needs a resolved identity, available to the routes as req.identity
+app.use('/api', (req, res, next) => {
+  const identity = authenticator.authenticate(req);
+  if (!identity) {
+    return res.status(401).json({ success: false, error: 'Authentication required', login: authenticator.loginEnabled });
+  }
+
+  req.identity = identity;
+  req.access = authorizer.forIdentity(identity);
+  if (req.method !== 'GET') {
+    console.log(`${req.method} ${req.originalUrl} by ${identity.id} (${identity.provider})`);
+  }
+  next();
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({
+    success: true,
+    authenticated: authenticator.enabled,
+    login: authenticator.loginEnabled,
+    authorization: req.access.enabled,
+    auditReader: canReadAuditLog(req.identity),
+    identity: req.identity
+  });
+});
+
+// Every API call can target an environment through the X-ODAG-Environment header,
+// an ?environment= query parameter or an "environment" body field.
+app.use('/api', (req, res, next) => {
+  const environment = req.get('X-ODAG-Environment') || req.query.environment || req.body?.environment || defaultEnvironment;
+  if (environmentConfigs[environment]?.impersonation && !(req.identity.userDirectory && req.identity.userId)) {
+    return res.status(403).json({
+      success: false,
+      error: `Impersonation is enabled for ${environment} but ${req.identity.id} is not mapped to a Qlik user (DIRECTORY\\userId)`
+    });
+  }
+
+  try {
+    req.environment = environment;
+    req.odagService = getODAGService(environment, req.identity);
+    next();
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Route middleware that opens an audit trail as req.audit and writes the entry
+// when the response is sent. `when` can exclude requests that change nothing.
+function audited(action, { when } = {}) {
+  return (req, res, next) => {
+    if (when && !when(req)) {
+      return next();
+    }
+
+    req.audit = auditLog.begin(action, {
+      user: req.identity.id,
+      environment: req.environment,
+      request: {
+        method: req.method,
+        path: req.originalUrl,
+        body: summarizeRequestBody(req.body),
+        ip: req.ip,
+        userAgent: req.get('User-Agent') || null
+      }
+    });
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      req.audit.finish(res.statusCode, body);
+      return json(body);
+    };
+    next();
+  };
+}
+
+// Serve the HTML form
+app.get('/', (req, res) => {
+  const htmlForm = `<!DOCTYPE html>
+<html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -491,11 +2927,68 @@ app.get('/', (req, res) => {
         .loading { text-align: center; color: #666; }
         .advanced { border: 1px solid #ddd; padding: 20px; margin-top: 20px; border-radius: 4px; background-color: #f9f9f9; }
         .advanced h3 { margin-top: 0; color: #2c3e50; }
+        .links { border-top: 1px solid #ddd; margin-top: 30px; padding-top: 20px; }
+        .links h2 { color: #2c3e50; margin-top: 0; }
+        .links .filters { display: flex; gap: 10px; align-items: center; }
+        .links .filters input { flex: 1; }
+        .links .filters button { width: auto; margin-top: 0; padding: 10px 20px; font-size: 14px; }
+        table { width: 100%; border-collapse: collapse; margin-top: 15px; font-size: 13px; }
+        th, td { text-align: left; padding: 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+        th { background-color: #f9f9f9; color: #34495e; }
+        td small { color: #7f8c8d; }
+        td button { width: auto; margin-top: 0; padding: 6px 12px; font-size: 13px; }
+        td button { margin-bottom: 4px; }
+        button.danger { background-color: #e74c3c; }
+        button.danger:hover { background-color: #c0392b; }
+        .edit-panel { display: none; }
+        .edit-panel .actions { display: flex; gap: 10px; }
+        .hint { font-size: 12px; color: #7f8c8d; margin: 0 0 8px 0; }
+        .rule-editor table { margin-top: 0; }
+        .rule-editor td { padding: 4px; }
+        .rule-editor input { padding: 6px; font-size: 13px; }
+        .rule-editor button, button.add-rule { width: auto; margin-top: 0; padding: 6px 12px; font-size: 13px; }
+        button.add-rule { margin-top: 8px; }
+        .filters { display: flex; gap: 10px; align-items: center; }
+        button.inline { width: auto; margin-top: 0; padding: 10px 20px; font-size: 14px; }
+        .picker { position: relative; margin-bottom: 6px; }
+        .picker-results { display: none; position: absolute; top: 100%; left: 0; right: 0; z-index: 10; background-color: white; border: 1px solid #ddd; border-radius: 4px; max-height: 250px; overflow-y: auto; box-shadow: 0 2px 6px rgba(0,0,0,0.1); }
+        .picker-results div { padding: 8px 10px; cursor: pointer; font-size: 13px; border-bottom: 1px solid #f0f0f0; }
+        .picker-results div:hover { background-color: #ecf0f1; }
+        .picker-results small { color: #7f8c8d; }
+        .field-panel { display: none; position: fixed; top: 0; right: 0; bottom: 0; width: 320px; background-color: white; box-shadow: -2px 0 10px rgba(0,0,0,0.15); padding: 20px; overflow-y: auto; z-index: 20; box-sizing: border-box; }
+        .field-panel h3 { margin-top: 0; color: #2c3e50; }
+        .field-panel h4 { color: #34495e; margin-bottom: 6px; }
+        .field-panel .item { padding: 6px 8px; cursor: pointer; font-size: 13px; border-bottom: 1px solid #f0f0f0; }
+        .field-panel .item:hover { background-color: #ecf0f1; }
+        .field-panel .item small { color: #7f8c8d; display: block; }
+        .field-panel button { margin-top: 0; margin-bottom: 10px; padding: 6px 12px; font-size: 13px; }
+        .environment-bar { display: none; gap: 10px; align-items: center; justify-content: flex-end; margin-top: -15px; margin-bottom: 20px; }
+        .environment-bar label { margin-bottom: 0; }
+        select { padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px; }
+        .environment-bar select { padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px; }
+        .hint.valid { color: #155724; }
+        .hint.invalid { color: #721c24; }
+        button.secondary { background-color: #95a5a6; }
+        button.secondary:hover { background-color: #7f8c8d; }
+        .user-bar { display: none; gap: 10px; align-items: center; justify-content: flex-end; margin-top: -20px; margin-bottom: 20px; font-size: 13px; color: #7f8c8d; }
+        .user-bar button { width: auto; margin-top: 0; padding: 6px 12px; font-size: 13px; }
+        .login-overlay { display: none; position: fixed; top: 0; left: 0; right: 0; bottom: 0; background-color: rgba(44,62,80,0.6); z-index: 30; }
+        .login-overlay form, .login-overlay .login-message { max-width: 320px; margin: 120px auto 0 auto; background-color: white; padding: 30px; border-radius: 8px; }
+        input[type="password"] { width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px; box-sizing: border-box; }
+        pre { background-color: #f4f4f4; padding: 10px; border-radius: 4px; overflow-x: auto; font-size: 12px; color: #2c3e50; }
     </style>
 </head>
 <body>
     <div class="container">
         <h1>ODAG Link Creator</h1>
+        <div id="userBar" class="user-bar">
+            <span>Signed in as <strong id="userName"></strong></span>
+            <button type="button" id="logoutBtn" class="secondary">Sign Out</button>
+        </div>
+        <div id="environmentBar" class="environment-bar">
+            <label for="environment">Qlik Environment</label>
+            <select id="environment"></select>
+        </div>
         <form id="odagForm">
             <div class="form-group">
                 <label for="linkName">Link Name *</label>
@@ -504,20 +2997,35 @@ app.get('/', (req, res) => {
             <div class="row">
                 <div class="col">
                     <div class="form-group">
-                        <label for="selectionAppId">Selection App ID *</label>
-                        <input type="text" id="selectionAppId" name="selectionAppId" required placeholder="e.g., 387139c2-c2d7-4442-8201-ec30307f8ab1">
+                        <label for="selectionAppSearch">Selection App *</label>
+                        <div class="picker">
+                            <input type="text" id="selectionAppSearch" placeholder="Search apps by name..." autocomplete="off">
+                            <div id="selectionAppResults" class="picker-results"></div>
+                        </div>
+                        <div id="selectionAppPicked" class="hint"></div>
+                        <input type="text" id="selectionAppId" name="selectionAppId" required placeholder="App ID, e.g., 387139c2-c2d7-4442-8201-ec30307f8ab1">
                     </div>
                 </div>
                 <div class="col">
                     <div class="form-group">
-                        <label for="templateAppId">Template App ID *</label>
-                        <input type="text" id="templateAppId" name="templateAppId" required placeholder="e.g., 09338ae2-5727-4652-a911-a333a7a92766">
+                        <label for="templateAppSearch">Template App *</label>
+                        <div class="picker">
+                            <input type="text" id="templateAppSearch" placeholder="Search apps by name..." autocomplete="off">
+                            <div id="templateAppResults" class="picker-results"></div>
+                        </div>
+                        <div id="templateAppPicked" class="hint"></div>
+                        <input type="text" id="templateAppId" name="templateAppId" required placeholder="App ID, e.g., 09338ae2-5727-4652-a911-a333a7a92766">
                     </div>
                 </div>
             </div>
             <div class="form-group">
                 <label for="rowEstExpr">Row Estimation Expression *</label>
-                <input type="text" id="rowEstExpr" name="rowEstExpr" required placeholder="e.g., Sum(FLIGHT_COUNT) or Count(DISTINCT [Order ID])">
+                <div class="filters">
+                    <input type="text" id="rowEstExpr" name="rowEstExpr" required placeholder="e.g., Sum(FLIGHT_COUNT) or Count(DISTINCT [Order ID])">
+                    <button type="button" id="checkExprBtn" class="secondary inline">Check</button>
+                    <button type="button" id="browseFieldsBtn" class="secondary inline">Fields</button>
+                </div>
+                <div id="exprResult" class="hint"></div>
             </div>
             <div class="form-group">
                 <label for="description">Description</label>
@@ -525,30 +3033,1336 @@ app.get('/', (req, res) => {
             </div>
             <div class="advanced">
                 <h3>Advanced Settings</h3>
-                <div class="row">
-                    <div class="col">
-                        <div class="form-group">
-                            <label for="maxRowCount">Max Row Count</label>
-                            <input type="number" id="maxRowCount" name="maxRowCount" value="500000" placeholder="500000">
-                        </div>
+                <div class="form-group">
+                    <label>Context Rules</label>
+                    <p class="hint">One row per context pattern (<code>User_*</code> for everyone, <code>User_DOMAIN\\user</code> or <code>User_DOMAIN\\*</code> for specific users). Leave a cell empty to not set that property for the context.</p>
+                    <div id="createRules" class="rule-editor"></div>
+                    <button type="button" class="secondary add-rule" data-add-rule="createRules">Add Rule</button>
+                </div>
+                <div class="form-group">
+                    <label for="sheetId">Navigation Button on Sheet</label>
+                    <p class="hint">Optionally place an ODAG navigation button on a sheet of the selection app. The link is always added to the app navigation panel.</p>
+                    <div class="filters">
+                        <select id="sheetId" name="sheetId"><option value="">No sheet button</option></select>
+                        <button type="button" id="loadSheetsBtn" class="secondary inline">Load Sheets</button>
                     </div>
-                    <div class="col">
-                        <div class="form-group">
-                            <label for="retentionDays">App Retention (Days)</label>
-                            <input type="number" id="retentionDays" name="retentionDays" value="7" placeholder="7">
-                        </div>
+                    <div id="sheetPlacementFields" class="row" style="display: none; margin-top: 10px;">
+                        <div class="col"><label for="buttonLabel">Button Label</label><input type="text" id="buttonLabel" name="buttonLabel" placeholder="Defaults to the link name"></div>
+                        <div class="col"><label for="sheetCol">Column</label><input type="number" id="sheetCol" name="sheetCol" min="0" value="0"></div>
+                        <div class="col"><label for="sheetRow">Row</label><input type="number" id="sheetRow" name="sheetRow" min="0" value="0"></div>
+                        <div class="col"><label for="sheetColspan">Width</label><input type="number" id="sheetColspan" name="sheetColspan" min="1" value="4"></div>
+                        <div class="col"><label for="sheetRowspan">Height</label><input type="number" id="sheetRowspan" name="sheetRowspan" min="1" value="2"></div>
                     </div>
+                    <div id="sheetResult" class="hint"></div>
+                </div>
+                <div class="form-group">
+                    <label for="publishedAppStrategy">If the Selection App Is Published</label>
+                    <select id="publishedAppStrategy" name="publishedAppStrategy">
+                        <option value="">Stop and explain the options</option>
+                        <option value="duplicate">Link an unpublished copy of the app and add the navigation to it</option>
+                        <option value="republish">Add the navigation to a copy and replace the published app with it</option>
+                        <option value="baseObject">Add the navigation as an approved base object (no sheet button)</option>
+                    </select>
                 </div>
                 <div class="form-group">
-                    <label for="genAppName">Generated App Name Template</label>
-                    <input type="text" id="genAppName" name="genAppName" placeholder="e.g., Sales Detail - $(user.name) - $(=Now())" value="">
+                    <label><input type="checkbox" id="allowPartial" name="allowPartial"> Keep the link if the navigation object can't be added (otherwise it is rolled back)</label>
                 </div>
             </div>
-            <button type="submit" id="submitBtn">Create ODAG Link</button>
+            <div class="row">
+                <div class="col"><button type="button" id="previewBtn" class="secondary">Preview</button></div>
+                <div class="col"><button type="submit" id="submitBtn">Create ODAG Link</button></div>
+            </div>
         </form>
         <div id="result" class="result"></div>
+        <div id="fieldPanel" class="field-panel">
+            <button type="button" id="closeFieldPanelBtn" class="secondary">Close</button>
+            <h3>Selection App Fields</h3>
+            <p class="hint">Click a field or master measure to insert it into the expression or app name box you last edited.</p>
+            <input type="text" id="fieldFilter" placeholder="Filter fields and measures">
+            <div id="fieldPanelContent"></div>
+        </div>
+        <div class="links">
+            <h2>Bulk Create from Manifest</h2>
+            <p>Upload a CSV or JSON file with one link per row. Columns: <code>linkName</code>, <code>selectionAppId</code>, <code>templateAppId</code>, <code>rowEstExpr</code>, <code>description</code>, <code>minRowCount</code>, <code>maxRowCount</code>, <code>retentionDays</code>, <code>genAppName</code>. Every row is validated before any link is created.</p>
+            <form id="bulkForm">
+                <div class="form-group">
+                    <input type="file" id="manifestFile" accept=".csv,.json,text/csv,application/json" required>
+                </div>
+                <div class="form-group">
+                    <label><input type="checkbox" id="bulkSkipInvalid"> Create the valid rows even if some rows fail validation</label>
+                </div>
+                <button type="submit" id="bulkSubmitBtn">Upload and Create Links</button>
+            </form>
+            <div id="bulkResult" class="result"></div>
+        </div>
+        <div class="links">
+            <h2>Sync Links from File</h2>
+            <p>Upload a JSON or YAML file describing the desired ODAG links (same fields as the bulk manifest, matched by <code>linkName</code>). Review the plan before applying it.</p>
+            <form id="syncForm">
+                <div class="form-group">
+                    <input type="file" id="syncFile" accept=".json,.yaml,.yml" required>
+                </div>
+                <div class="form-group">
+                    <label><input type="checkbox" id="syncPrune"> Delete links on the server that are not in the file</label>
+                </div>
+                <div class="row">
+                    <div class="col"><button type="submit" id="syncPlanBtn">Show Plan</button></div>
+                    <div class="col"><button type="button" id="syncApplyBtn" class="danger" disabled>Apply Plan</button></div>
+                </div>
+            </form>
+            <div id="syncResult" class="result"></div>
+        </div>
+        <div class="links">
+            <h2>Import Link Bundle</h2>
+            <p>Import a JSON bundle exported from this or another environment. Apps are re-resolved by name and stream.</p>
+            <form id="importForm">
+                <div class="form-group">
+                    <input type="file" id="bundleFile" accept=".json,application/json" required>
+                </div>
+                <div class="form-group">
+                    <label for="importCollision">When a link with the same name exists</label>
+                    <select id="importCollision">
+                        <option value="refuse">Skip it and report a conflict</option>
+                        <option value="rename">Import it under a new name</option>
+                    </select>
+                </div>
+                <div class="row">
+                    <div class="col"><button type="button" id="importPreviewBtn" class="secondary">Validate Only</button></div>
+                    <div class="col"><button type="submit" id="importSubmitBtn">Import Links</button></div>
+                </div>
+            </form>
+            <div id="importResult" class="result"></div>
+        </div>
+        <div class="links">
+            <h2>Existing ODAG Links</h2>
+            <div class="filters">
+                <input type="text" id="filterName" placeholder="Link name">
+                <input type="text" id="filterSelectionApp" placeholder="Selection app (name or ID)">
+                <input type="text" id="filterTemplateApp" placeholder="Template app (name or ID)">
+                <button type="button" id="refreshLinksBtn">Refresh</button>
+                <button type="button" id="exportLinksBtn" class="secondary">Export</button>
+            </div>
+            <div id="linksResult" class="result"></div>
+            <div id="linksList"></div>
+        </div>
+        <div class="links">
+            <h2>Generation Requests</h2>
+            <div class="filters">
+                <select id="requestLinkFilter"><option value="">All links</option></select>
+                <select id="requestStateFilter">
+                    <option value="">Any state</option>
+                    <option value="queued">Queued</option>
+                    <option value="validating">Validating</option>
+                    <option value="pending">Pending</option>
+                    <option value="generating">Generating</option>
+                    <option value="succeeded">Succeeded</option>
+                    <option value="failed">Failed</option>
+                    <option value="canceled">Cancelled</option>
+                </select>
+                <button type="button" id="refreshRequestsBtn">Refresh</button>
+            </div>
+            <div id="requestsResult" class="result"></div>
+            <div id="requestsList"></div>
+        </div>
+        <div class="links">
+            <h2>Generated Apps</h2>
+            <p>Apps generated from ODAG links, with the retention their link grants the owner. Cleanup always shows what would be deleted first.</p>
+            <div class="filters">
+                <select id="generatedAppLinkFilter"><option value="">All links</option></select>
+                <button type="button" id="refreshGeneratedAppsBtn">Refresh</button>
+                <button type="button" id="previewExpiredBtn" class="secondary">Preview Expired Cleanup</button>
+                <button type="button" id="previewSelectedBtn" class="secondary">Preview Selected Cleanup</button>
+            </div>
+            <div id="generatedAppsResult" class="result"></div>
+            <div id="generatedAppsList"></div>
+        </div>
+        <div class="links" id="auditSection">
+            <h2>Audit Log</h2>
+            <p>Every change made through this service: who made it, what was sent to ODAG and the outcome of each step.</p>
+            <div class="filters">
+                <input type="text" id="auditUserFilter" placeholder="User">
+                <input type="text" id="auditActionFilter" placeholder="Action (e.g., link.create)">
+                <input type="text" id="auditLinkFilter" placeholder="Link ID">
+                <select id="auditOutcomeFilter">
+                    <option value="">Any outcome</option>
+                    <option value="success">Success</option>
+                    <option value="partial">Partial</option>
+                    <option value="failed">Failed</option>
+                </select>
+                <select id="auditEnvironmentFilter"><option value="">All environments</option></select>
+            </div>
+            <div class="filters">
+                <label for="auditFrom">From</label>
+                <input type="datetime-local" id="auditFrom">
+                <label for="auditTo">To</label>
+                <input type="datetime-local" id="auditTo">
+                <button type="button" id="refreshAuditBtn">Search</button>
+            </div>
+            <div id="auditList"></div>
+            <pre id="auditDetail" style="display: none;"></pre>
+        </div>
+        <div id="promotePanel" class="advanced edit-panel">
+            <h3>Promote ODAG Link</h3>
+            <p id="promoteSource" class="hint"></p>
+            <form id="promoteForm">
+                <input type="hidden" id="promoteLinkId">
+                <div class="form-group">
+                    <label for="promoteTarget">Target Environment</label>
+                    <select id="promoteTarget"></select>
+                </div>
+                <div class="form-group">
+                    <label for="promoteMapping">App Mapping (optional)</label>
+                    <p class="hint">JSON object mapping source app IDs to target app IDs, e.g. <code>{"source-app-guid": "target-app-guid"}</code>. Apps without a mapping are matched by name and stream.</p>
+                    <textarea id="promoteMapping"></textarea>
+                </div>
+                <div class="actions">
+                    <button type="submit" id="promoteDiffBtn" class="secondary">Show Diff</button>
+                    <button type="button" id="promoteApplyBtn" disabled>Promote</button>
+                    <button type="button" id="promoteCancelBtn" class="secondary">Cancel</button>
+                </div>
+            </form>
+            <div id="promoteResult" class="result"></div>
+        </div>
+        <div id="editPanel" class="advanced edit-panel">
+            <h3>Edit ODAG Link</h3>
+            <form id="editForm">
+                <input type="hidden" id="editLinkId">
+                <div class="form-group">
+                    <label for="editLinkName">Link Name *</label>
+                    <input type="text" id="editLinkName" required>
+                </div>
+                <div class="form-group">
+                    <label for="editRowEstExpr">Row Estimation Expression *</label>
+                    <input type="text" id="editRowEstExpr" required>
+                </div>
+                <div class="form-group">
+                    <label>Context Rules</label>
+                    <p class="hint">One row per context pattern (<code>User_*</code> for everyone, <code>User_DOMAIN\\user</code> or <code>User_DOMAIN\\*</code> for specific users). Leave a cell empty to not set that property for the context.</p>
+                    <div id="editRules" class="rule-editor"></div>
+                    <button type="button" class="secondary add-rule" data-add-rule="editRules">Add Rule</button>
+                </div>
+                <div class="actions">
+                    <button type="submit" id="editSubmitBtn">Save Changes</button>
+                    <button type="button" id="editCancelBtn" class="secondary">Cancel</button>
+                </div>
+            </form>
+            <div id="editResult" class="result"></div>
+        </div>
+    </div>
+    <div id="loginOverlay" class="login-overlay">
+        <form id="loginForm">
+            <h3>Sign In</h3>
+            <div class="form-group">
+                <label for="loginUsername">User Name</label>
+                <input type="text" id="loginUsername" autocomplete="username" required>
+            </div>
+            <div class="form-group">
+                <label for="loginPassword">Password</label>
+                <input type="password" id="loginPassword" autocomplete="current-password" required>
+            </div>
+            <button type="submit">Sign In</button>
+            <div id="loginResult" class="result"></div>
+        </form>
+        <div id="loginMessage" class="login-message">
+            <h3>Authentication Required</h3>
+            <p>This service only accepts requests through its configured reverse proxy or with an API key.</p>
+        </div>
     </div>
     <script>
+        const environmentSelect = document.getElementById('environment');
+
+        async function apiFetch(url, options = {}) {
+            const headers = { ...(options.headers || {}) };
+            if (environmentSelect.value) headers['X-ODAG-Environment'] = environmentSelect.value;
+            const response = await fetch(url, { ...options, headers });
+            if (response.status === 401) {
+                // The session expired or was never started
+                const result = await response.clone().json().catch(() => ({}));
+                showLogin(result.login);
+            }
+            return response;
+        }
+
+        function showLogin(loginEnabled) {
+            document.getElementById('loginForm').style.display = loginEnabled ? 'block' : 'none';
+            document.getElementById('loginMessage').style.display = loginEnabled ? 'none' : 'block';
+            document.getElementById('loginOverlay').style.display = 'block';
+        }
+
+        let canReadAuditLog = false;
+
+        async function checkSession() {
+            const response = await fetch('/api/auth/me');
+            const result = await response.json();
+            if (!result.success) {
+                showLogin(result.login);
+                return false;
+            }
+            canReadAuditLog = result.auditReader;
+            document.getElementById('auditSection').style.display = canReadAuditLog ? 'block' : 'none';
+            if (result.authenticated) {
+                document.getElementById('userName').textContent = result.identity.id;
+                document.getElementById('logoutBtn').style.display = result.identity.provider === 'local' ? 'inline-block' : 'none';
+                document.getElementById('userBar').style.display = 'flex';
+            }
+            return true;
+        }
+
+        document.getElementById('loginForm').addEventListener('submit', async function(e) {
+            e.preventDefault();
+            const resultDiv = document.getElementById('loginResult');
+            const response = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    username: document.getElementById('loginUsername').value,
+                    password: document.getElementById('loginPassword').value
+                })
+            });
+            const result = await response.json();
+            if (result.success) {
+                window.location.reload();
+                return;
+            }
+            resultDiv.style.display = 'block';
+            resultDiv.className = 'result error';
+            resultDiv.textContent = result.error || 'Sign-in failed';
+        });
+
+        document.getElementById('logoutBtn').addEventListener('click', async function() {
+            await fetch('/api/auth/logout', { method: 'POST' });
+            window.location.reload();
+        });
+
+        let environments = [];
+
+        async function loadEnvironments() {
+            const response = await apiFetch('/api/environments');
+            const result = await response.json();
+            environments = result.environments;
+            const saved = localStorage.getItem('odagEnvironment');
+            environmentSelect.innerHTML = result.environments.map(env =>
+                \`<option value="\${escapeHtml(env.name)}">\${escapeHtml(env.name)} (\${escapeHtml(env.qlikHost)})</option>\`).join('');
+            const names = result.environments.map(env => env.name);
+            environmentSelect.value = names.includes(saved) ? saved : result.defaultEnvironment;
+            document.getElementById('environmentBar').style.display = names.length > 1 ? 'flex' : 'none';
+            document.getElementById('auditEnvironmentFilter').innerHTML = '<option value="">All environments</option>' +
+                names.map(name => \`<option value="\${escapeHtml(name)}">\${escapeHtml(name)}</option>\`).join('');
+        }
+
+        environmentSelect.addEventListener('change', function() {
+            localStorage.setItem('odagEnvironment', environmentSelect.value);
+            for (const role of ['selection', 'template']) {
+                document.getElementById(role + 'AppId').value = '';
+                document.getElementById(role + 'AppSearch').value = '';
+                document.getElementById(role + 'AppPicked').textContent = '';
+            }
+            document.getElementById('editPanel').style.display = 'none';
+            document.getElementById('promotePanel').style.display = 'none';
+            appDataModel = null;
+            loadLinks();
+        });
+
+        function escapeHtml(value) {
+            return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+        }
+
+        function formatRules(rules, format) {
+            return (rules || []).map(rule => \`<div>\${escapeHtml(rule.context)}: \${escapeHtml(format(rule))}</div>\`).join('');
+        }
+
+        function formatWarnings(warnings) {
+            if (!warnings || warnings.length === 0) return '';
+            return \`<p><strong>Warnings:</strong></p><ul>\${warnings.map(w => \`<li>\${escapeHtml(w)}</li>\`).join('')}</ul>\`;
+        }
+
+        function renderRuleRows(containerId, rows) {
+            const container = document.getElementById(containerId);
+            container.innerHTML = \`<table>
+                <thead><tr><th>Context</th><th>Min Rows</th><th>Max Rows</th><th>Retention (Days)</th><th>Generated App Name</th><th></th></tr></thead>
+                <tbody></tbody>
+            </table>\`;
+            rows.forEach(row => addRuleRow(containerId, row));
+        }
+
+        function addRuleRow(containerId, row = {}) {
+            const tr = document.createElement('tr');
+            tr.innerHTML = \`
+                <td><input type="text" class="rule-context" placeholder="User_*" value="\${escapeHtml(row.context ?? '')}"></td>
+                <td><input type="number" class="rule-low" min="0" value="\${escapeHtml(row.lowBound ?? '')}"></td>
+                <td><input type="number" class="rule-high" min="1" value="\${escapeHtml(row.highBound ?? '')}"></td>
+                <td><input type="number" class="rule-retention" min="0" step="any" value="\${escapeHtml(row.retentionDays ?? '')}"></td>
+                <td><input type="text" class="rule-name" placeholder="e.g., Sales Detail - $(user.name) - $(=Now())" value="\${escapeHtml(row.formatString ?? '')}"></td>
+                <td><button type="button" class="danger" data-remove-rule>Remove</button></td>\`;
+            document.querySelector('#' + containerId + ' tbody').appendChild(tr);
+        }
+
+        function readRules(containerId) {
+            const rules = { rowEstRange: [], appRetentionTime: [], genAppName: [] };
+            document.querySelectorAll('#' + containerId + ' tbody tr').forEach(tr => {
+                const value = cls => tr.querySelector(cls).value.trim();
+                const context = value('.rule-context');
+                if (!context) return;
+                const highBound = parseInt(value('.rule-high'));
+                const retentionDays = parseFloat(value('.rule-retention'));
+                if (highBound) {
+                    const lowBound = parseInt(value('.rule-low'));
+                    rules.rowEstRange.push({ context, lowBound: Number.isNaN(lowBound) ? 1 : lowBound, highBound });
+                }
+                if (retentionDays) {
+                    rules.appRetentionTime.push({ context, minutes: Math.round(retentionDays * 24 * 60) });
+                }
+                if (value('.rule-name')) {
+                    rules.genAppName.push({ context, formatString: value('.rule-name') });
+                }
+            });
+            return Object.fromEntries(Object.entries(rules).filter(([, list]) => list.length > 0));
+        }
+
+        function linkToRuleRows(link) {
+            const rows = new Map();
+            const rowFor = context => {
+                if (!rows.has(context)) rows.set(context, { context });
+                return rows.get(context);
+            };
+            link.rowEstRange.forEach(rule => Object.assign(rowFor(rule.context), { lowBound: rule.lowBound, highBound: rule.highBound }));
+            link.appRetentionTime.forEach(rule => Object.assign(rowFor(rule.context), { retentionDays: rule.minutes / 1440 }));
+            link.genAppName.forEach(rule => Object.assign(rowFor(rule.context), { formatString: rule.formatString }));
+            return [...rows.values()];
+        }
+
+        document.addEventListener('click', function(e) {
+            if (e.target.dataset.addRule) {
+                addRuleRow(e.target.dataset.addRule);
+            } else if (e.target.hasAttribute('data-remove-rule')) {
+                e.target.closest('tr').remove();
+            }
+        });
+
+        renderRuleRows('createRules', [{ context: 'User_*', lowBound: 1, highBound: 500000, retentionDays: 7 }]);
+
+        let currentLinks = [];
+
+        async function loadLinks() {
+            const listDiv = document.getElementById('linksList');
+            const params = currentLinkFilters();
+            listDiv.innerHTML = '<p class="loading">Loading ODAG links...</p>';
+            try {
+                const response = await apiFetch('/api/odag/links?' + params.toString());
+                const result = await response.json();
+                if (!result.success) {
+                    throw new Error(result.error || 'Unknown error occurred');
+                }
+                currentLinks = result.links;
+                if (result.links.length === 0) {
+                    listDiv.innerHTML = '<p>No ODAG links found.</p>';
+                    return;
+                }
+                const rows = result.links.map(link => \`<tr>
+                    <td><strong>\${escapeHtml(link.name)}</strong><br><small>\${escapeHtml(link.id)}</small></td>
+                    <td>\${escapeHtml(link.selectionAppName || '')}<br><small>\${escapeHtml(link.selectionAppId || '')}</small></td>
+                    <td>\${escapeHtml(link.templateAppName || '')}<br><small>\${escapeHtml(link.templateAppId || '')}</small></td>
+                    <td>\${escapeHtml(link.rowEstExpr)}</td>
+                    <td>\${formatRules(link.rowEstRange, r => \`\${r.lowBound} - \${r.highBound}\`)}</td>
+                    <td>\${formatRules(link.appRetentionTime, r => \`\${Math.round(r.minutes / 1440 * 10) / 10} days\`)}</td>
+                    <td>\${formatRules(link.genAppName, r => r.formatString)}</td>
+                    <td>
+                        <button type="button" data-edit="\${escapeHtml(link.id)}">Edit</button>
+                        <button type="button" class="secondary" data-requests="\${escapeHtml(link.id)}">Requests</button>
+                        \${environments.length > 1 ? \`<button type="button" class="secondary" data-promote="\${escapeHtml(link.id)}">Promote</button>\` : ''}
+                        <button type="button" class="danger" data-delete="\${escapeHtml(link.id)}">Delete</button>
+                    </td>
+                </tr>\`).join('');
+                updateRequestLinkFilter();
+                listDiv.innerHTML = \`<table>
+                    <thead><tr><th>Link</th><th>Selection App</th><th>Template App</th><th>Row Estimation</th><th>Row Limits</th><th>Retention</th><th>App Naming</th><th></th></tr></thead>
+                    <tbody>\${rows}</tbody>
+                </table>\`;
+            } catch (error) {
+                listDiv.innerHTML = \`<div class="result error" style="display: block;"><p>\${escapeHtml(error.message)}</p></div>\`;
+            }
+        }
+
+        const activeRequestStates = ['queued', 'validating', 'pending', 'generating', 'loading'];
+        const retryableRequestStates = ['failed', 'canceled', 'cancelled'];
+
+        function updateRequestLinkFilter() {
+            const select = document.getElementById('requestLinkFilter');
+            const selected = select.value;
+            select.innerHTML = '<option value="">All links</option>' +
+                currentLinks.map(link => \`<option value="\${escapeHtml(link.id)}">\${escapeHtml(link.name)}</option>\`).join('');
+            select.value = currentLinks.some(link => link.id === selected) ? selected : '';
+
+            const appSelect = document.getElementById('generatedAppLinkFilter');
+            const appSelected = appSelect.value;
+            appSelect.innerHTML = select.innerHTML;
+            appSelect.value = currentLinks.some(link => link.id === appSelected) ? appSelected : '';
+        }
+
+        function formatSize(bytes) {
+            if (bytes === null || bytes === undefined) return '';
+            return bytes >= 1048576 ? (Math.round(bytes / 104857.6) / 10) + ' MB' : (Math.round(bytes / 102.4) / 10) + ' KB';
+        }
+
+        async function loadGeneratedApps() {
+            const listDiv = document.getElementById('generatedAppsList');
+            const linkId = document.getElementById('generatedAppLinkFilter').value;
+            listDiv.innerHTML = '<p class="loading">Loading generated apps...</p>';
+            try {
+                const response = await apiFetch('/api/odag/generated-apps' + (linkId ? '?linkId=' + encodeURIComponent(linkId) : ''));
+                const result = await response.json();
+                if (!result.success) {
+                    throw new Error(result.error || 'Unknown error occurred');
+                }
+                if (result.apps.length === 0) {
+                    listDiv.innerHTML = '<p>No generated apps found.</p>';
+                    return;
+                }
+                const rows = result.apps.map(app => \`<tr>
+                    <td><input type="checkbox" class="generated-app" value="\${escapeHtml(app.appId)}"></td>
+                    <td><strong>\${escapeHtml(app.name)}</strong><br><small>\${escapeHtml(app.appId)}</small></td>
+                    <td>\${escapeHtml(app.linkName || '')}</td>
+                    <td>\${escapeHtml(app.ownerName || app.owner || '')}<br><small>\${escapeHtml(app.owner || '')}\${app.ownerRemoved ? ' (removed)' : ''}</small></td>
+                    <td>\${formatSize(app.fileSize)}</td>
+                    <td>\${formatDate(app.createdDate)}</td>
+                    <td>\${formatDate(app.lastReloadTime)}</td>
+                    <td>\${app.expiresAt ? (app.expired ? '<strong>Expired</strong> ' : '') + formatDate(app.expiresAt) : 'No retention'}</td>
+                </tr>\`).join('');
+                listDiv.innerHTML = \`<table>
+                    <thead><tr><th></th><th>App</th><th>Link</th><th>Owner</th><th>Size</th><th>Created</th><th>Last Reload</th><th>Retention</th></tr></thead>
+                    <tbody>\${rows}</tbody>
+                </table>\`;
+            } catch (error) {
+                listDiv.innerHTML = \`<div class="result error" style="display: block;"><p>\${escapeHtml(error.message)}</p></div>\`;
+            }
+        }
+
+        async function cleanupGeneratedApps(appIds, dryRun) {
+            const resultDiv = document.getElementById('generatedAppsResult');
+            const linkId = document.getElementById('generatedAppLinkFilter').value || undefined;
+            resultDiv.style.display = 'block';
+            resultDiv.className = 'result loading';
+            resultDiv.innerHTML = dryRun ? 'Listing apps to delete...' : 'Deleting apps, please wait...';
+            try {
+                const response = await apiFetch('/api/odag/generated-apps/cleanup', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ linkId, appIds, dryRun })
+                });
+                const result = await response.json();
+                if (!result.results) throw new Error(result.error || 'Unknown error occurred');
+                const rows = result.results.map(r => \`<tr>
+                    <td>\${escapeHtml(r.name || r.appId)}</td>
+                    <td>\${escapeHtml(r.linkName || '')}</td>
+                    <td>\${escapeHtml(r.owner || '')}</td>
+                    <td>\${escapeHtml(r.status)}</td>
+                    <td>\${escapeHtml(r.error || '')}</td>
+                </tr>\`).join('');
+                resultDiv.className = result.success ? 'result success' : 'result error';
+                resultDiv.innerHTML = result.total === 0
+                    ? '<p>Nothing to delete.</p>'
+                    : \`<p>\${dryRun ? (result.total - result.skipped) + ' app(s) would be deleted.' : result.deleted + ' of ' + (result.total - result.skipped) + ' app(s) deleted.'}\${result.skipped ? ' ' + result.skipped + ' app(s) skipped.' : ''}</p>
+                        <table><thead><tr><th>App</th><th>Link</th><th>Owner</th><th>Status</th><th>Error</th></tr></thead><tbody>\${rows}</tbody></table>
+                        \${dryRun ? '<button type="button" id="confirmCleanupBtn" class="danger">Delete These Apps</button>' : ''}\`;
+                if (dryRun && result.total > 0) {
+                    const targets = result.results.filter(r => r.status === 'wouldDelete').map(r => r.appId);
+                    document.getElementById('confirmCleanupBtn').addEventListener('click', function() {
+                        if (confirm(\`Delete \${targets.length} generated app(s)? This cannot be undone.\`)) {
+                            cleanupGeneratedApps(targets, false);
+                        }
+                    });
+                }
+                if (!dryRun) loadGeneratedApps();
+            } catch (error) {
+                resultDiv.className = 'result error';
+                resultDiv.innerHTML = \`<h3>Error</h3><p>\${escapeHtml(error.message)}</p>\`;
+            }
+        }
+
+        document.getElementById('refreshGeneratedAppsBtn').addEventListener('click', loadGeneratedApps);
+        document.getElementById('generatedAppLinkFilter').addEventListener('change', loadGeneratedApps);
+        document.getElementById('previewExpiredBtn').addEventListener('click', () => cleanupGeneratedApps(undefined, true));
+        document.getElementById('previewSelectedBtn').addEventListener('click', function() {
+            const selected = [...document.querySelectorAll('.generated-app:checked')].map(input => input.value);
+            if (selected.length === 0) {
+                alert('Select one or more apps in the list first');
+                return;
+            }
+            cleanupGeneratedApps(selected, true);
+        });
+
+        function formatDate(value) {
+            return value ? escapeHtml(new Date(value).toLocaleString()) : '';
+        }
+
+        let auditEntries = [];
+
+        async function loadAuditLog() {
+            const listDiv = document.getElementById('auditList');
+            const params = new URLSearchParams();
+            const filters = {
+                user: document.getElementById('auditUserFilter').value.trim(),
+                action: document.getElementById('auditActionFilter').value.trim(),
+                linkId: document.getElementById('auditLinkFilter').value.trim(),
+                outcome: document.getElementById('auditOutcomeFilter').value,
+                auditEnvironment: document.getElementById('auditEnvironmentFilter').value
+            };
+            for (const [key, value] of Object.entries(filters)) {
+                if (value) params.set(key, value);
+            }
+            for (const key of ['from', 'to']) {
+                const value = document.getElementById(key === 'from' ? 'auditFrom' : 'auditTo').value;
+                if (value) params.set(key, new Date(value).toISOString());
+            }
+            document.getElementById('auditDetail').style.display = 'none';
+            listDiv.innerHTML = '<p class="loading">Loading audit log...</p>';
+            try {
+                const response = await apiFetch('/api/audit?' + params.toString());
+                const result = await response.json();
+                if (!result.success) {
+                    throw new Error(result.error || 'Unknown error occurred');
+                }
+                auditEntries = result.entries;
+                if (auditEntries.length === 0) {
+                    listDiv.innerHTML = '<p>No audit entries found.</p>';
+                    return;
+                }
+                const rows = auditEntries.map(entry => \`<tr>
+                    <td>\${formatDate(entry.timestamp)}</td>
+                    <td>\${escapeHtml(entry.user || '')}</td>
+                    <td>\${escapeHtml(entry.environment || '')}</td>
+                    <td><strong>\${escapeHtml(entry.action)}</strong><br><small>\${escapeHtml(entry.request?.method || '')} \${escapeHtml(entry.request?.path || '')}</small></td>
+                    <td>\${(entry.linkIds || []).map(id => \`<small>\${escapeHtml(id)}</small>\`).join('<br>')}</td>
+                    <td><strong>\${escapeHtml(entry.outcome)}</strong>\${entry.error ? '<br><small>' + escapeHtml(entry.error) + '</small>' : ''}</td>
+                    <td><button type="button" class="secondary" data-audit="\${escapeHtml(entry.id)}">Details</button></td>
+                </tr>\`).join('');
+                listDiv.innerHTML = \`<p>Showing \${auditEntries.length} of \${result.total} entries.</p><table>
+                    <thead><tr><th>Time</th><th>User</th><th>Environment</th><th>Action</th><th>Links</th><th>Outcome</th><th></th></tr></thead>
+                    <tbody>\${rows}</tbody>
+                </table>\`;
+            } catch (error) {
+                listDiv.innerHTML = \`<div class="result error" style="display: block;"><p>\${escapeHtml(error.message)}</p></div>\`;
+            }
+        }
+
+        document.getElementById('refreshAuditBtn').addEventListener('click', loadAuditLog);
+        document.getElementById('auditList').addEventListener('click', function(e) {
+            const id = e.target.dataset.audit;
+            if (!id) return;
+            const detail = document.getElementById('auditDetail');
+            detail.textContent = JSON.stringify(auditEntries.find(entry => entry.id === id), null, 2);
+            detail.style.display = 'block';
+        });
+
+        async function loadRequests() {
+            const listDiv = document.getElementById('requestsList');
+            const params = new URLSearchParams();
+            const linkId = document.getElementById('requestLinkFilter').value;
+            const state = document.getElementById('requestStateFilter').value;
+            if (linkId) params.set('linkId', linkId);
+            if (state) params.set('state', state);
+            listDiv.innerHTML = '<p class="loading">Loading generation requests...</p>';
+            try {
+                const response = await apiFetch('/api/odag/requests?' + params.toString());
+                const result = await response.json();
+                if (!result.success) {
+                    throw new Error(result.error || 'Unknown error occurred');
+                }
+                if (result.requests.length === 0) {
+                    listDiv.innerHTML = '<p>No generation requests found.</p>';
+                    return;
+                }
+                const rows = result.requests.map(request => \`<tr>
+                    <td><small>\${escapeHtml(request.id)}</small></td>
+                    <td>\${escapeHtml(request.linkName || request.linkId || '')}</td>
+                    <td>\${escapeHtml(request.requesterName || request.requester || '')}<br><small>\${escapeHtml(request.requester || '')}</small></td>
+                    <td><strong>\${escapeHtml(request.state || '')}</strong></td>
+                    <td>\${request.rowEstimate ?? ''}</td>
+                    <td>\${escapeHtml(request.generatedAppName || '')}<br><small>\${escapeHtml(request.generatedAppId || '')}</small></td>
+                    <td>\${formatDate(request.createdDate)}<br><small>updated \${formatDate(request.modifiedDate)}</small></td>
+                    <td>\${request.errors.map(escapeHtml).join('<br>')}</td>
+                    <td>
+                        \${activeRequestStates.includes(request.state) ? \`<button type="button" class="danger" data-cancel-request="\${escapeHtml(request.id)}">Cancel</button>\` : ''}
+                        \${retryableRequestStates.includes(request.state) ? \`<button type="button" data-retry-request="\${escapeHtml(request.id)}">Retry</button>\` : ''}
+                    </td>
+                </tr>\`).join('');
+                listDiv.innerHTML = \`<table>
+                    <thead><tr><th>Request</th><th>Link</th><th>Requester</th><th>State</th><th>Row Estimate</th><th>Generated App</th><th>Created</th><th>Errors</th><th></th></tr></thead>
+                    <tbody>\${rows}</tbody>
+                </table>\`;
+            } catch (error) {
+                listDiv.innerHTML = \`<div class="result error" style="display: block;"><p>\${escapeHtml(error.message)}</p></div>\`;
+            }
+        }
+
+        async function requestAction(requestId, action) {
+            if (action === 'cancel' && !confirm(\`Cancel generation request \${requestId}?\`)) return;
+            const resultDiv = document.getElementById('requestsResult');
+            resultDiv.style.display = 'block';
+            resultDiv.className = 'result loading';
+            resultDiv.innerHTML = action === 'cancel' ? 'Cancelling request...' : 'Resubmitting request...';
+            try {
+                const response = await apiFetch('/api/odag/requests/' + encodeURIComponent(requestId) + '/' + action, { method: 'POST' });
+                const result = await response.json();
+                if (!result.success) {
+                    throw new Error(result.error || 'Unknown error occurred');
+                }
+                resultDiv.className = 'result success';
+                resultDiv.innerHTML = \`<p><strong>Status:</strong> \${escapeHtml(result.message)}</p>\`;
+                loadRequests();
+            } catch (error) {
+                resultDiv.className = 'result error';
+                resultDiv.innerHTML = \`<h3>Error</h3><p>\${escapeHtml(error.message)}</p>\`;
+            }
+        }
+
+        document.getElementById('requestsList').addEventListener('click', function(e) {
+            const dataset = e.target.dataset || {};
+            if (dataset.cancelRequest) requestAction(dataset.cancelRequest, 'cancel');
+            if (dataset.retryRequest) requestAction(dataset.retryRequest, 'retry');
+        });
+        document.getElementById('refreshRequestsBtn').addEventListener('click', loadRequests);
+        document.getElementById('requestLinkFilter').addEventListener('change', loadRequests);
+        document.getElementById('requestStateFilter').addEventListener('change', loadRequests);
+
+        function openEditForm(linkId) {
+            const link = currentLinks.find(l => l.id === linkId);
+            if (!link) return;
+            document.getElementById('editLinkId').value = link.id;
+            document.getElementById('editLinkName').value = link.name || '';
+            document.getElementById('editRowEstExpr').value = link.rowEstExpr || '';
+            renderRuleRows('editRules', linkToRuleRows(link));
+            document.getElementById('editResult').style.display = 'none';
+            const panel = document.getElementById('editPanel');
+            panel.style.display = 'block';
+            panel.scrollIntoView({ behavior: 'smooth' });
+        }
+
+        async function deleteLink(linkId) {
+            const link = currentLinks.find(l => l.id === linkId);
+            if (!link || !confirm(\`Delete ODAG link "\${link.name}"? Its navigation objects will be removed from the selection apps.\`)) return;
+            const deleteApps = confirm('Also delete all apps generated from this link? Press Cancel to keep them.');
+            const resultDiv = document.getElementById('linksResult');
+            resultDiv.style.display = 'block';
+            resultDiv.className = 'result loading';
+            resultDiv.innerHTML = 'Deleting ODAG link, please wait...';
+            try {
+                const response = await apiFetch('/api/odag/links/' + encodeURIComponent(linkId) + '?deleteApps=' + deleteApps, { method: 'DELETE' });
+                const result = await response.json();
+                if (!result.success) {
+                    throw new Error(result.error || 'Unknown error occurred');
+                }
+                const failures = [...result.steps.navigationLinks.filter(step => step.error), ...(result.steps.generatedApps ? result.steps.generatedApps.failed : [])]
+                    .map(step => \`<li>\${escapeHtml(step.appId)}: \${escapeHtml(step.error)}</li>\`).join('');
+                resultDiv.className = 'result success';
+                resultDiv.innerHTML = \`<p><strong>Status:</strong> \${escapeHtml(result.message)}</p>\${failures ? \`<ul>\${failures}</ul>\` : ''}\${formatWarnings(result.warnings)}\`;
+                loadLinks();
+            } catch (error) {
+                resultDiv.className = 'result error';
+                resultDiv.innerHTML = \`<h3>Error</h3><p>\${escapeHtml(error.message)}</p>\`;
+            }
+        }
+
+        function openPromoteForm(linkId) {
+            const link = currentLinks.find(l => l.id === linkId);
+            if (!link) return;
+            document.getElementById('promoteLinkId').value = link.id;
+            document.getElementById('promoteSource').textContent = \`"\${link.name}" from \${environmentSelect.value}\`;
+            document.getElementById('promoteTarget').innerHTML = environments
+                .filter(env => env.name !== environmentSelect.value)
+                .map(env => \`<option value="\${escapeHtml(env.name)}">\${escapeHtml(env.name)} (\${escapeHtml(env.qlikHost)})</option>\`).join('');
+            document.getElementById('promoteApplyBtn').disabled = true;
+            document.getElementById('promoteResult').style.display = 'none';
+            const panel = document.getElementById('promotePanel');
+            panel.style.display = 'block';
+            panel.scrollIntoView({ behavior: 'smooth' });
+        }
+
+        async function requestPromotion(apply) {
+            const linkId = document.getElementById('promoteLinkId').value;
+            const mappingText = document.getElementById('promoteMapping').value.trim();
+            let appMapping;
+            try {
+                appMapping = mappingText ? JSON.parse(mappingText) : undefined;
+            } catch (error) {
+                throw new Error('App mapping is not valid JSON: ' + error.message);
+            }
+            const response = await apiFetch('/api/odag/links/' + encodeURIComponent(linkId) + '/promote', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ targetEnvironment: document.getElementById('promoteTarget').value, appMapping, apply })
+            });
+            return response.json();
+        }
+
+        function renderPromotion(result) {
+            const plan = result.plan;
+            const formatValue = value => escapeHtml(typeof value === 'object' && value !== null ? JSON.stringify(value) : value ?? '');
+            const apps = ['selection', 'template'].map(role => {
+                const mapped = plan.apps[role];
+                return \`<li>\${role}: \${escapeHtml(mapped.source.name)} &rarr; \${escapeHtml(mapped.target.name)} (\${escapeHtml(mapped.target.stream || 'unpublished')}, \${escapeHtml(mapped.target.id)}, by \${mapped.mappedBy})</li>\`;
+            }).join('');
+            const diff = plan.diff.map(change => \`<tr><td>\${escapeHtml(change.field)}</td><td>\${formatValue(change.current)}</td><td>\${formatValue(change.promoted)}</td></tr>\`).join('');
+            return \`<p><strong>Action in \${escapeHtml(plan.targetEnvironment)}:</strong> \${escapeHtml(plan.action)}</p><ul>\${apps}</ul>
+                \${diff ? \`<table><thead><tr><th>Field</th><th>Current</th><th>Promoted</th></tr></thead><tbody>\${diff}</tbody></table>\` : '<p>No differences.</p>'}\`;
+        }
+
+        document.getElementById('promoteForm').addEventListener('submit', async function(e) {
+            e.preventDefault();
+            const resultDiv = document.getElementById('promoteResult');
+            const applyBtn = document.getElementById('promoteApplyBtn');
+            resultDiv.style.display = 'block';
+            resultDiv.className = 'result loading';
+            resultDiv.innerHTML = 'Comparing environments...';
+            applyBtn.disabled = true;
+            try {
+                const result = await requestPromotion(false);
+                if (!result.success) throw new Error(result.error || 'Unknown error occurred');
+                resultDiv.className = 'result success';
+                resultDiv.innerHTML = renderPromotion(result);
+                applyBtn.disabled = false;
+            } catch (error) {
+                resultDiv.className = 'result error';
+                resultDiv.innerHTML = \`<h3>Error</h3><p>\${escapeHtml(error.message)}</p>\`;
+            }
+        });
+
+        document.getElementById('promoteApplyBtn').addEventListener('click', async function() {
+            const resultDiv = document.getElementById('promoteResult');
+            this.disabled = true;
+            resultDiv.className = 'result loading';
+            resultDiv.innerHTML = 'Promoting ODAG link, please wait...';
+            try {
+                const result = await requestPromotion(true);
+                if (!result.plan) throw new Error(result.error || 'Unknown error occurred');
+                resultDiv.className = result.success ? 'result success' : 'result error';
+                resultDiv.innerHTML = renderPromotion(result) + (result.success
+                    ? \`<p><strong>Promoted.</strong> Target link ID: \${escapeHtml(result.odagLinkId || '')}</p>\`
+                    : \`<p><strong>Error:</strong> \${escapeHtml(result.error)}</p>\`);
+            } catch (error) {
+                resultDiv.className = 'result error';
+                resultDiv.innerHTML = \`<h3>Error</h3><p>\${escapeHtml(error.message)}</p>\`;
+            }
+        });
+
+        document.getElementById('promoteCancelBtn').addEventListener('click', function() {
+            document.getElementById('promotePanel').style.display = 'none';
+        });
+
+        document.getElementById('linksList').addEventListener('click', function(e) {
+            const dataset = e.target.dataset || {};
+            if (dataset.edit) openEditForm(dataset.edit);
+            if (dataset.promote) openPromoteForm(dataset.promote);
+            if (dataset.requests) {
+                document.getElementById('requestLinkFilter').value = dataset.requests;
+                loadRequests();
+                document.getElementById('requestsList').scrollIntoView({ behavior: 'smooth' });
+            }
+            if (dataset.delete) deleteLink(dataset.delete);
+        });
+
+        document.getElementById('editCancelBtn').addEventListener('click', function() {
+            document.getElementById('editPanel').style.display = 'none';
+        });
+
+        document.getElementById('editForm').addEventListener('submit', async function(e) {
+            e.preventDefault();
+            const linkId = document.getElementById('editLinkId').value;
+            const submitBtn = document.getElementById('editSubmitBtn');
+            const resultDiv = document.getElementById('editResult');
+            const changes = {
+                linkName: document.getElementById('editLinkName').value,
+                rowEstExpr: document.getElementById('editRowEstExpr').value,
+                ...readRules('editRules')
+            };
+            submitBtn.disabled = true;
+            submitBtn.textContent = 'Saving...';
+            resultDiv.style.display = 'block';
+            resultDiv.className = 'result loading';
+            resultDiv.innerHTML = 'Updating ODAG link, please wait...';
+            try {
+                const response = await apiFetch('/api/odag/links/' + encodeURIComponent(linkId), {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(changes)
+                });
+                const result = await response.json();
+                if (result.success) {
+                    resultDiv.className = 'result success';
+                    resultDiv.innerHTML = \`<p><strong>Status:</strong> \${escapeHtml(result.message)}</p>\${formatWarnings(result.warnings)}\`;
+                    loadLinks();
+                } else {
+                    throw new Error(result.error || 'Unknown error occurred');
+                }
+            } catch (error) {
+                resultDiv.className = 'result error';
+                resultDiv.innerHTML = \`<h3>Error</h3><p>\${escapeHtml(error.message)}</p>\`;
+            } finally {
+                submitBtn.disabled = false;
+                submitBtn.textContent = 'Save Changes';
+            }
+        });
+
+        let lastBulkReport = null;
+
+        function downloadBulkReport() {
+            const columns = ['row', 'linkName', 'selectionAppId', 'templateAppId', 'status', 'odagLinkId', 'error'];
+            const quote = value => '"' + String(value ?? '').replace(/"/g, '""') + '"';
+            const lines = [columns.join(',')].concat(lastBulkReport.results.map(r => columns.map(c => quote(r[c])).join(',')));
+            const blob = new Blob([lines.join('\\r\\n')], { type: 'text/csv' });
+            const anchor = document.createElement('a');
+            anchor.href = URL.createObjectURL(blob);
+            anchor.download = 'odag-bulk-report.csv';
+            anchor.click();
+            URL.revokeObjectURL(anchor.href);
+        }
+
+        document.getElementById('bulkForm').addEventListener('submit', async function(e) {
+            e.preventDefault();
+            const file = document.getElementById('manifestFile').files[0];
+            const submitBtn = document.getElementById('bulkSubmitBtn');
+            const resultDiv = document.getElementById('bulkResult');
+            if (!file) return;
+            submitBtn.disabled = true;
+            submitBtn.textContent = 'Creating ODAG Links...';
+            resultDiv.style.display = 'block';
+            resultDiv.className = 'result loading';
+            resultDiv.innerHTML = 'Validating manifest and creating links, please wait...';
+            try {
+                const content = await file.text();
+                const response = await apiFetch('/api/odag/bulk', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        content,
+                        format: file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv',
+                        skipInvalid: document.getElementById('bulkSkipInvalid').checked
+                    })
+                });
+                const result = await response.json();
+                if (!result.results) {
+                    throw new Error(result.error || 'Unknown error occurred');
+                }
+                lastBulkReport = result;
+                const rows = result.results.map(r => \`<tr>
+                    <td>\${r.row}</td>
+                    <td>\${escapeHtml(r.linkName)}</td>
+                    <td>\${escapeHtml(r.status)}</td>
+                    <td>\${escapeHtml(r.odagLinkId || '')}</td>
+                    <td>\${escapeHtml(r.error || '')}</td>
+                </tr>\`).join('');
+                resultDiv.className = result.success ? 'result success' : 'result error';
+                resultDiv.innerHTML = \`<p><strong>\${result.created}</strong> of \${result.total} link(s) created, \${result.failed} failed, \${result.invalid} invalid.\${result.error ? ' ' + escapeHtml(result.error) : ''}</p>
+                    <table><thead><tr><th>Row</th><th>Link</th><th>Status</th><th>ODAG Link ID</th><th>Error</th></tr></thead><tbody>\${rows}</tbody></table>
+                    <button type="button" id="downloadBulkReportBtn">Download Report (CSV)</button>\`;
+                document.getElementById('downloadBulkReportBtn').addEventListener('click', downloadBulkReport);
+                if (result.created > 0) loadLinks();
+            } catch (error) {
+                resultDiv.className = 'result error';
+                resultDiv.innerHTML = \`<h3>Error</h3><p>\${escapeHtml(error.message)}</p>\`;
+            } finally {
+                submitBtn.disabled = false;
+                submitBtn.textContent = 'Upload and Create Links';
+            }
+        });
+
+        async function postSyncRequest(endpoint) {
+            const file = document.getElementById('syncFile').files[0];
+            if (!file) throw new Error('Choose a links file first');
+            const response = await apiFetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    content: await file.text(),
+                    format: file.name.toLowerCase().endsWith('.json') ? 'json' : 'yaml',
+                    prune: document.getElementById('syncPrune').checked
+                })
+            });
+            return response.json();
+        }
+
+        function renderSyncPlan(plan, results) {
+            const resultFor = action => (results || []).find(r => r.linkName === action.linkName && r.action === action.action);
+            const rows = plan.actions.map(action => {
+                const applied = resultFor(action);
+                const outcome = applied ? (applied.success ? 'done' : 'failed: ' + (applied.error || '')) : (action.error || '');
+                return \`<tr>
+                    <td>\${escapeHtml(action.action)}</td>
+                    <td>\${escapeHtml(action.linkName)}</td>
+                    <td>\${escapeHtml((action.changes || []).join(', '))}</td>
+                    <td>\${escapeHtml(outcome)}</td>
+                </tr>\`;
+            }).join('');
+            const summary = Object.entries(plan.summary).map(([action, count]) => \`\${count} \${escapeHtml(action)}\`).join(', ');
+            return \`<p><strong>Plan:</strong> \${summary || 'nothing to do'}</p>
+                <table><thead><tr><th>Action</th><th>Link</th><th>Changes</th><th>Result</th></tr></thead><tbody>\${rows}</tbody></table>\`;
+        }
+
+        document.getElementById('syncFile').addEventListener('change', function() {
+            document.getElementById('syncApplyBtn').disabled = true;
+        });
+
+        document.getElementById('syncForm').addEventListener('submit', async function(e) {
+            e.preventDefault();
+            const resultDiv = document.getElementById('syncResult');
+            const applyBtn = document.getElementById('syncApplyBtn');
+            resultDiv.style.display = 'block';
+            resultDiv.className = 'result loading';
+            resultDiv.innerHTML = 'Computing sync plan...';
+            applyBtn.disabled = true;
+            try {
+                const result = await postSyncRequest('/api/odag/sync/plan');
+                if (!result.success) throw new Error(result.error || 'Unknown error occurred');
+                resultDiv.className = 'result success';
+                resultDiv.innerHTML = renderSyncPlan(result.plan);
+                applyBtn.disabled = !result.plan.actions.some(a => ['create', 'update', 'replace', 'delete'].includes(a.action));
+            } catch (error) {
+                resultDiv.className = 'result error';
+                resultDiv.innerHTML = \`<h3>Error</h3><p>\${escapeHtml(error.message)}</p>\`;
+            }
+        });
+
+        document.getElementById('syncApplyBtn').addEventListener('click', async function() {
+            if (!confirm('Apply this plan to the ODAG service?')) return;
+            const resultDiv = document.getElementById('syncResult');
+            const applyBtn = this;
+            applyBtn.disabled = true;
+            resultDiv.className = 'result loading';
+            resultDiv.innerHTML = 'Applying sync plan, please wait...';
+            try {
+                const result = await postSyncRequest('/api/odag/sync/apply');
+                if (!result.plan) throw new Error(result.error || 'Unknown error occurred');
+                resultDiv.className = result.success ? 'result success' : 'result error';
+                resultDiv.innerHTML = renderSyncPlan(result.plan, result.results);
+                loadLinks();
+            } catch (error) {
+                resultDiv.className = 'result error';
+                resultDiv.innerHTML = \`<h3>Error</h3><p>\${escapeHtml(error.message)}</p>\`;
+            }
+        });
+
+        function currentLinkFilters() {
+            const params = new URLSearchParams();
+            const filters = { name: 'filterName', selectionApp: 'filterSelectionApp', templateApp: 'filterTemplateApp' };
+            for (const [param, inputId] of Object.entries(filters)) {
+                const value = document.getElementById(inputId).value.trim();
+                if (value) params.set(param, value);
+            }
+            return params;
+        }
+
+        document.getElementById('exportLinksBtn').addEventListener('click', async function() {
+            const resultDiv = document.getElementById('linksResult');
+            try {
+                const response = await apiFetch('/api/odag/export?' + currentLinkFilters().toString());
+                const bundle = await response.json();
+                if (!bundle.links) throw new Error(bundle.error || 'Unknown error occurred');
+                const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+                const anchor = document.createElement('a');
+                anchor.href = URL.createObjectURL(blob);
+                anchor.download = \`odag-links-\${bundle.sourceEnvironment}.json\`;
+                anchor.click();
+                URL.revokeObjectURL(anchor.href);
+            } catch (error) {
+                resultDiv.style.display = 'block';
+                resultDiv.className = 'result error';
+                resultDiv.innerHTML = \`<h3>Error</h3><p>\${escapeHtml(error.message)}</p>\`;
+            }
+        });
+
+        async function importBundle(dryRun) {
+            const file = document.getElementById('bundleFile').files[0];
+            const resultDiv = document.getElementById('importResult');
+            if (!file) return;
+            resultDiv.style.display = 'block';
+            resultDiv.className = 'result loading';
+            resultDiv.innerHTML = dryRun ? 'Validating bundle...' : 'Importing links, please wait...';
+            try {
+                const bundle = JSON.parse(await file.text());
+                const response = await apiFetch('/api/odag/import', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ bundle, onCollision: document.getElementById('importCollision').value, dryRun })
+                });
+                const result = await response.json();
+                if (!result.results) throw new Error(result.error || 'Unknown error occurred');
+                const rows = result.results.map(r => \`<tr>
+                    <td>\${escapeHtml(r.linkName)}\${r.renamedTo ? '<br><small>as ' + escapeHtml(r.renamedTo) + '</small>' : ''}</td>
+                    <td>\${escapeHtml(r.status)}</td>
+                    <td>\${escapeHtml(r.odagLinkId || '')}</td>
+                    <td>\${escapeHtml(r.error || '')}</td>
+                </tr>\`).join('');
+                resultDiv.className = result.success ? 'result success' : 'result error';
+                resultDiv.innerHTML = \`<p>\${result.total - result.failed} of \${result.total} link(s) \${dryRun ? 'valid' : 'imported'}.</p>
+                    <table><thead><tr><th>Link</th><th>Status</th><th>ODAG Link ID</th><th>Error</th></tr></thead><tbody>\${rows}</tbody></table>\`;
+                if (!dryRun) loadLinks();
+            } catch (error) {
+                resultDiv.className = 'result error';
+                resultDiv.innerHTML = \`<h3>Error</h3><p>\${escapeHtml(error.message)}</p>\`;
+            }
+        }
+
+        document.getElementById('importForm').addEventListener('submit', function(e) {
+            e.preventDefault();
+            importBundle(false);
+        });
+        document.getElementById('importPreviewBtn').addEventListener('click', () => importBundle(true));
+
+        document.getElementById('refreshLinksBtn').addEventListener('click', loadLinks);
+        checkSession().then(signedIn => {
+            if (!signedIn) return;
+            loadEnvironments().catch(error => console.error('Failed to load environments:', error)).finally(loadLinks);
+            if (canReadAuditLog) loadAuditLog();
+        });
+
+        function buildCreateRequest() {
+            const formData = new FormData(document.getElementById('odagForm'));
+            const data = {
+                selectionAppId: formData.get('selectionAppId'),
+                templateAppId: formData.get('templateAppId'),
+                linkName: formData.get('linkName'),
+                description: formData.get('description'),
+                rowEstExpr: formData.get('rowEstExpr'),
+                allowPartial: formData.get('allowPartial') === 'on',
+                publishedAppStrategy: formData.get('publishedAppStrategy') || undefined
+            };
+            if (formData.get('sheetId')) {
+                data.sheetId = formData.get('sheetId');
+                data.buttonLabel = formData.get('buttonLabel') || undefined;
+                data.sheetPlacement = {
+                    col: formData.get('sheetCol'),
+                    row: formData.get('sheetRow'),
+                    colspan: formData.get('sheetColspan'),
+                    rowspan: formData.get('sheetRowspan')
+                };
+            }
+            return { ...data, ...readRules('createRules') };
+        }
+
+        function attachAppPicker(role) {
+            const search = document.getElementById(role + 'AppSearch');
+            const results = document.getElementById(role + 'AppResults');
+            const target = document.getElementById(role + 'AppId');
+            const picked = document.getElementById(role + 'AppPicked');
+            let timer = null;
+            let apps = [];
+
+            search.addEventListener('input', function() {
+                clearTimeout(timer);
+                const query = search.value.trim();
+                if (query.length < 2) {
+                    results.style.display = 'none';
+                    return;
+                }
+                timer = setTimeout(async () => {
+                    try {
+                        const response = await apiFetch('/api/qlik/apps?role=' + role + '&query=' + encodeURIComponent(query));
+                        const result = await response.json();
+                        if (!result.success) throw new Error(result.error || 'Unknown error occurred');
+                        apps = result.apps;
+                        results.innerHTML = apps.length === 0
+                            ? '<div>No matching apps</div>'
+                            : apps.map((app, index) => \`<div data-index="\${index}"><strong>\${escapeHtml(app.name)}</strong><br>
+                                <small>\${app.published ? 'Stream: ' + escapeHtml(app.stream) : 'Unpublished'} &middot; Owner: \${escapeHtml(app.ownerName || app.owner)}</small></div>\`).join('');
+                    } catch (error) {
+                        results.innerHTML = \`<div>\${escapeHtml(error.message)}</div>\`;
+                    }
+                    results.style.display = 'block';
+                }, 300);
+            });
+
+            results.addEventListener('click', function(e) {
+                const item = e.target.closest('[data-index]');
+                if (!item) return;
+                const app = apps[parseInt(item.dataset.index)];
+                target.value = app.id;
+                search.value = app.name;
+                picked.textContent = (app.published ? 'Published in ' + app.stream : 'Unpublished') + ' - owner ' + (app.ownerName || app.owner);
+                results.style.display = 'none';
+            });
+
+            search.addEventListener('blur', () => setTimeout(() => { results.style.display = 'none'; }, 200));
+        }
+
+        attachAppPicker('selection');
+        attachAppPicker('template');
+
+        let appSheets = [];
+
+        function resetSheets() {
+            appSheets = [];
+            document.getElementById('sheetId').innerHTML = '<option value="">No sheet button</option>';
+            document.getElementById('sheetPlacementFields').style.display = 'none';
+            document.getElementById('sheetResult').textContent = '';
+        }
+
+        document.getElementById('selectionAppId').addEventListener('change', resetSheets);
+        document.getElementById('selectionAppResults').addEventListener('click', resetSheets);
+
+        document.getElementById('loadSheetsBtn').addEventListener('click', async function() {
+            const selectionAppId = document.getElementById('selectionAppId').value.trim();
+            const sheetResult = document.getElementById('sheetResult');
+            sheetResult.className = 'hint';
+            if (!selectionAppId) {
+                sheetResult.textContent = 'Pick a selection app first';
+                return;
+            }
+            sheetResult.textContent = 'Loading sheets...';
+            try {
+                const response = await apiFetch('/api/qlik/apps/' + encodeURIComponent(selectionAppId) + '/sheets');
+                const result = await response.json();
+                if (!result.success) throw new Error(result.error || 'Unknown error occurred');
+                appSheets = result.sheets;
+                document.getElementById('sheetId').innerHTML = '<option value="">No sheet button</option>' +
+                    appSheets.map(sheet => \`<option value="\${escapeHtml(sheet.id)}">\${escapeHtml(sheet.title || sheet.id)}\${sheet.published ? ' (published)' : ''}</option>\`).join('');
+                sheetResult.textContent = \`\${appSheets.length} sheet(s) found\`;
+            } catch (error) {
+                sheetResult.className = 'hint invalid';
+                sheetResult.textContent = error.message;
+            }
+        });
+
+        document.getElementById('sheetId').addEventListener('change', function() {
+            const sheet = appSheets.find(entry => entry.id === this.value);
+            document.getElementById('sheetPlacementFields').style.display = sheet ? 'flex' : 'none';
+            document.getElementById('sheetResult').className = 'hint';
+            document.getElementById('sheetResult').textContent = sheet
+                ? \`Grid is \${sheet.columns} columns x \${sheet.rows} rows; \${sheet.cells.length} object(s) already placed\`
+                : '';
+        });
+
+        let lastExpressionInput = null;
+        let appDataModel = null;
+
+        document.addEventListener('focusin', function(e) {
+            if (e.target.id === 'rowEstExpr' || e.target.classList.contains('rule-name')) {
+                lastExpressionInput = e.target;
+            }
+        });
+
+        function insertIntoExpression(text) {
+            const input = lastExpressionInput || document.getElementById('rowEstExpr');
+            const start = input.selectionStart ?? input.value.length;
+            const end = input.selectionEnd ?? input.value.length;
+            input.value = input.value.slice(0, start) + text + input.value.slice(end);
+            input.focus();
+            input.setSelectionRange(start + text.length, start + text.length);
+        }
+
+        function renderFieldPanel() {
+            const content = document.getElementById('fieldPanelContent');
+            const term = document.getElementById('fieldFilter').value.trim().toLowerCase();
+            const fields = appDataModel.fields.filter(f => f.name.toLowerCase().includes(term));
+            const measures = appDataModel.measures.filter(m => (m.title || '').toLowerCase().includes(term) || (m.expression || '').toLowerCase().includes(term));
+            const fieldItems = fields.map(f => \`<div class="item" data-insert="\${escapeHtml('[' + f.name.replace(/]/g, ']]') + ']')}">\${escapeHtml(f.name)}
+                <small>\${f.cardinality} distinct value(s)\${f.tags.length ? ' &middot; ' + escapeHtml(f.tags.join(', ')) : ''}</small></div>\`).join('');
+            const measureItems = measures.map(m => \`<div class="item" data-insert="\${escapeHtml(m.expression)}">\${escapeHtml(m.title)}
+                <small>\${escapeHtml(m.expression)}</small></div>\`).join('');
+            content.innerHTML = \`<h4>Fields (\${fields.length})</h4>\${fieldItems || '<p class="hint">No fields</p>'}
+                <h4>Master Measures (\${measures.length})</h4>\${measureItems || '<p class="hint">No master measures</p>'}\`;
+        }
+
+        document.getElementById('browseFieldsBtn').addEventListener('click', async function() {
+            const panel = document.getElementById('fieldPanel');
+            const content = document.getElementById('fieldPanelContent');
+            const selectionAppId = document.getElementById('selectionAppId').value.trim();
+            panel.style.display = 'block';
+            if (!selectionAppId) {
+                content.innerHTML = '<p class="hint invalid">Pick a selection app first.</p>';
+                return;
+            }
+            content.innerHTML = '<p class="loading">Loading fields...</p>';
+            try {
+                const response = await apiFetch('/api/qlik/apps/' + encodeURIComponent(selectionAppId) + '/fields');
+                const result = await response.json();
+                if (!result.success) throw new Error(result.error || 'Unknown error occurred');
+                appDataModel = result;
+                renderFieldPanel();
+            } catch (error) {
+                content.innerHTML = \`<p class="hint invalid">\${escapeHtml(error.message)}</p>\`;
+            }
+        });
+
+        document.getElementById('fieldFilter').addEventListener('input', function() {
+            if (appDataModel) renderFieldPanel();
+        });
+
+        document.getElementById('fieldPanelContent').addEventListener('mousedown', function(e) {
+            const item = e.target.closest('[data-insert]');
+            if (!item) return;
+            e.preventDefault();
+            insertIntoExpression(item.dataset.insert);
+        });
+
+        document.getElementById('closeFieldPanelBtn').addEventListener('click', function() {
+            document.getElementById('fieldPanel').style.display = 'none';
+        });
+
+        async function checkExpression() {
+            const exprResult = document.getElementById('exprResult');
+            const selectionAppId = document.getElementById('selectionAppId').value.trim();
+            const rowEstExpr = document.getElementById('rowEstExpr').value.trim();
+            if (!selectionAppId || !rowEstExpr) {
+                exprResult.className = 'hint invalid';
+                exprResult.textContent = 'Enter a selection app and an expression to check.';
+                return;
+            }
+            exprResult.className = 'hint';
+            exprResult.textContent = 'Evaluating expression in the selection app...';
+            try {
+                const response = await apiFetch('/api/odag/validate-expression', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ selectionAppId, rowEstExpr })
+                });
+                const result = await response.json();
+                if (!result.success) throw new Error(result.error || 'Unknown error occurred');
+                exprResult.className = result.valid ? 'hint valid' : 'hint invalid';
+                exprResult.textContent = result.valid
+                    ? 'Valid - current value with no selections: ' + result.text
+                    : 'Invalid - ' + result.error;
+            } catch (error) {
+                exprResult.className = 'hint invalid';
+                exprResult.textContent = 'Could not check expression: ' + error.message;
+            }
+        }
+
+        document.getElementById('checkExprBtn').addEventListener('click', checkExpression);
+        document.getElementById('rowEstExpr').addEventListener('change', checkExpression);
+
+        document.getElementById('previewBtn').addEventListener('click', async function() {
+            const form = document.getElementById('odagForm');
+            if (!form.reportValidity()) return;
+            const previewBtn = this;
+            const resultDiv = document.getElementById('result');
+            previewBtn.disabled = true;
+            previewBtn.textContent = 'Running Checks...';
+            resultDiv.style.display = 'block';
+            resultDiv.className = 'result loading';
+            resultDiv.innerHTML = 'Validating ODAG link, nothing will be created...';
+            try {
+                const response = await apiFetch('/api/odag/create', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ ...buildCreateRequest(), dryRun: true })
+                });
+                const result = await response.json();
+                if (!result.checks) {
+                    throw new Error(result.error || 'Unknown error occurred');
+                }
+                const checks = result.checks.map(check => \`<li>\${check.passed ? '&#10004;' : '&#10008;'} \${escapeHtml(check.message)}</li>\`).join('');
+                resultDiv.className = result.success ? 'result success' : 'result error';
+                resultDiv.innerHTML = \`<h3>Preview</h3><p>\${escapeHtml(result.message)}</p><ul>\${checks}</ul>
+                    <p><strong>ODAG payload:</strong></p><pre>\${escapeHtml(JSON.stringify(result.odagPayload, null, 2))}</pre>\`;
+            } catch (error) {
+                resultDiv.className = 'result error';
+                resultDiv.innerHTML = \`<h3>Error</h3><p>\${escapeHtml(error.message)}</p>\`;
+            } finally {
+                previewBtn.disabled = false;
+                previewBtn.textContent = 'Preview';
+            }
+        });
+
         document.getElementById('odagForm').addEventListener('submit', async function(e) {
             e.preventDefault();
             const submitBtn = document.getElementById('submitBtn');
@@ -559,27 +4373,8 @@ app.get('/', (req, res) => {
             resultDiv.className = 'result loading';
             resultDiv.innerHTML = 'Creating ODAG link, please wait...';
             try {
-                const formData = new FormData(e.target);
-                const data = {
-                    selectionAppId: formData.get('selectionAppId'),
-                    templateAppId: formData.get('templateAppId'),
-                    linkName: formData.get('linkName'),
-                    description: formData.get('description'),
-                    rowEstExpr: formData.get('rowEstExpr')
-                };
-                const maxRowCount = parseInt(formData.get('maxRowCount'));
-                const retentionDays = parseInt(formData.get('retentionDays'));
-                const genAppName = formData.get('genAppName');
-                if (maxRowCount && maxRowCount > 0) {
-                    data.rowEstRange = [{ context: "User_*", lowBound: 1, highBound: maxRowCount }];
-                }
-                if (retentionDays && retentionDays > 0) {
-                    data.appRetentionTime = [{ context: "User_*", minutes: retentionDays * 24 * 60 }];
-                }
-                if (genAppName && genAppName.trim()) {
-                    data.genAppName = [{ context: "User_*", formatString: genAppName }];
-                }
-                const response = await fetch('/api/odag/create', {
+                const data = buildCreateRequest();
+                const response = await apiFetch('/api/odag/create', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify(data)
@@ -587,7 +4382,13 @@ app.get('/', (req, res) => {
                 const result = await response.json();
                 if (result.success) {
                     resultDiv.className = 'result success';
-                    resultDiv.innerHTML = \`<h3>Success!</h3><p><strong>ODAG Link ID:</strong> \${result.odagLinkId}</p><p><strong>Selection App:</strong> \${result.selectionAppName}</p><p><strong>Template App:</strong> \${result.templateAppName}</p><p><strong>Status:</strong> \${result.message}</p>\${result.partial ? '<p><strong>Note:</strong> Manual navigation link setup may be required.</p>' : ''}\`;
+                    resultDiv.innerHTML = \`<h3>Success!</h3><p><strong>ODAG Link ID:</strong> \${result.odagLinkId}</p><p><strong>Selection App:</strong> \${result.selectionAppName}</p><p><strong>Template App:</strong> \${result.templateAppName}</p><p><strong>Status:</strong> \${result.message}</p>\${result.sheetObjectId ? '<p><strong>Sheet Button:</strong> ' + escapeHtml(result.sheetObjectId) + '</p>' : ''}\${result.publishedApp ? '<p><strong>Published App (' + escapeHtml(result.publishedApp.strategy) + '):</strong> ' + escapeHtml(result.publishedApp.message) + '</p>' : ''}\${result.partial ? '<p><strong>Note:</strong> Manual navigation link setup may be required.</p>' : ''}\${formatWarnings(result.warnings)}\`;
+                    loadLinks();
+                } else if (result.publishedAppOptions) {
+                    resultDiv.className = 'result error';
+                    resultDiv.innerHTML = \`<h3>Selection App Is Published</h3><p>\${escapeHtml(result.error)}</p>
+                        <ul>\${result.publishedAppOptions.map(option => '<li><strong>' + escapeHtml(option.strategy) + '</strong> - ' + escapeHtml(option.description) + '</li>').join('')}</ul>
+                        <p>Pick one under Advanced Settings and submit again. Nothing was created.</p>\`;
                 } else {
                     throw new Error(result.error || 'Unknown error occurred');
                 }
@@ -631,31 +4432,518 @@ function openBrowser(url) {
   });
 }
 
+app.get('/api/environments', (req, res) => {
+  res.json({
+    success: true,
+    defaultEnvironment,
+    environments: Object.entries(environmentConfigs).map(([name, envConfig]) => ({
+      name,
+      qlikHost: envConfig.qlikHost,
+      userDirectory: envConfig.userDirectory,
+      userId: envConfig.userId
+    }))
+  });
+});
+
 app.get('/api/odag/test-connection', async (req, res) => {
   try {
-    const result = await odagService.testConnection();
+    const result = await req.odagService.testConnection();
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Sync and promote compare the link's selection app with the desired one on every run;
+// a link bound to a copy by "duplicate" would be replaced (and copied again) each time
+function ensureRepeatableStrategy(strategy) {
+  if (strategy === 'duplicate') {
+    throw new Error('publishedAppStrategy "duplicate" binds the link to a new copy of the app, so it can\'t be used with sync or promote - use "republish" or "baseObject"');
+  }
+}
+
+function readSyncManifest(body) {
+  if (body.content) {
+    return parseManifest(body.content, body.format);
+  }
+  if (Array.isArray(body.links)) {
+    return body.links;
+  }
+  if (config.linksFile) {
+    const format = config.linksFile.match(/\.(ya?ml|json|csv)$/i)?.[1].toLowerCase();
+    return parseManifest(fs.readFileSync(config.linksFile, 'utf8'), format);
+  }
+  throw new Error('No desired state provided: send "content" or "links", or set linksFile in config.js');
+}
+
+app.post('/api/odag/sync/plan', async (req, res) => {
+  let rows;
+  try {
+    rows = readSyncManifest(req.body);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  try {
+    const plan = await req.odagService.planODAGSync(rows, { prune: req.body.prune === true });
+    res.json({ success: true, plan });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/odag/sync/apply', audited('links.sync'), async (req, res) => {
+  let rows;
+  try {
+    rows = readSyncManifest(req.body);
+    ensureRepeatableStrategy(req.body.publishedAppStrategy);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  try {
+    const plan = await req.odagService.planODAGSync(rows, { prune: req.body.prune === true });
+    const result = await req.odagService.applyODAGSync(plan, {
+      allowPartial: req.body.allowPartial === true,
+      publishedAppStrategy: req.body.publishedAppStrategy,
+      audit: req.audit,
+      access: req.access
+    });
+    res.json({ ...result, plan });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Picks single-valued text filters from the query string; a repeated parameter
+// (?name=a&name=b) arrives as an array and is refused
+function linkFilters(query, names) {
+  const filters = {};
+  for (const name of names) {
+    if (query[name] !== undefined && typeof query[name] !== 'string') {
+      throw new Error(`${name} must be given once`);
+    }
+    filters[name] = query[name];
+  }
+  return filters;
+}
+
+app.get('/api/odag/links', async (req, res) => {
+  let filters;
+  try {
+    filters = linkFilters(req.query, ['name', 'selectionApp', 'templateApp']);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  try {
+    const links = await req.odagService.listODAGLinks(filters);
+    res.json({ success: true, count: links.length, links });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/odag/links/:id', async (req, res) => {
+  try {
+    const link = await req.odagService.getODAGLink(req.params.id);
+    res.json({ success: true, link });
+  } catch (error) {
+    res.status(error.notFound ? 404 : 500).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/odag/links/:id', audited('link.update'), async (req, res) => {
+  try {
+    const result = await req.odagService.updateODAGLink(req.params.id, req.body, { audit: req.audit, access: req.access });
+    res.status(result.forbidden ? 403 : 200).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/odag/links/:id', audited('link.delete'), async (req, res) => {
+  try {
+    const result = await req.odagService.deleteCompleteODAGLink(req.params.id, {
+      deleteApps: req.query.deleteApps === 'true',
+      audit: req.audit,
+      access: req.access
+    });
+    res.status(result.forbidden ? 403 : 200).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/odag/create', audited('link.create'), async (req, res) => {
+  try {
+    const result = await req.odagService.createCompleteODAGLink({
+      ...req.body,
+      dryRun: req.body.dryRun === true || req.query.dryRun === 'true',
+      audit: req.audit,
+      access: req.access
+    });
+    res.status(result.forbidden ? 403 : 200).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/odag/validate-expression', async (req, res) => {
+  const { selectionAppId, rowEstExpr } = req.body;
+  if (!selectionAppId || !rowEstExpr) {
+    return res.status(400).json({ success: false, error: 'selectionAppId and rowEstExpr are required' });
+  }
+
+  try {
+    const result = await req.odagService.checkRowEstExpr(selectionAppId, rowEstExpr);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/odag/check-bindings', async (req, res) => {
+  const { selectionAppId, templateAppId } = req.body;
+  if (!selectionAppId || !templateAppId) {
+    return res.status(400).json({ success: false, error: 'selectionAppId and templateAppId are required' });
+  }
+
+  try {
+    const result = await req.odagService.checkTemplateBindings(templateAppId, selectionAppId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/odag/requests', async (req, res) => {
+  try {
+    const requests = await req.odagService.listODAGRequests({ linkId: req.query.linkId, state: req.query.state });
+    res.json({ success: true, count: requests.length, requests });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/odag/links/:id/requests', async (req, res) => {
+  try {
+    const requests = await req.odagService.listODAGRequests({ linkId: req.params.id, state: req.query.state });
+    res.json({ success: true, count: requests.length, requests });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/odag/requests/:id', async (req, res) => {
+  try {
+    const request = await req.odagService.getODAGRequest(req.params.id);
+    res.json({ success: true, request });
+  } catch (error) {
+    res.status(error.notFound ? 404 : 500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/odag/generated-apps', async (req, res) => {
+  try {
+    const inventory = await req.odagService.getGeneratedAppInventory({ linkId: req.query.linkId });
+    res.json({ success: true, count: inventory.apps.length, ...inventory });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/odag/generated-apps/cleanup', audited('generatedApps.cleanup'), async (req, res) => {
+  if (req.body.appIds !== undefined && !Array.isArray(req.body.appIds)) {
+    return res.status(400).json({ success: false, error: 'appIds must be an array of app IDs' });
+  }
+
+  try {
+    const result = await req.odagService.cleanupGeneratedApps({
+      linkId: req.body.linkId,
+      appIds: req.body.appIds,
+      dryRun: req.body.dryRun !== false,
+      access: req.access
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/odag/links/:id/generate', audited('app.generate'), async (req, res) => {
+  try {
+    req.odagService.normalizeSelections(req.body.selections);
+    if (req.body.user) {
+      req.odagService.parseUser(req.body.user);
+    }
+    if (req.body.timeout !== undefined && (!Number.isInteger(Number(req.body.timeout)) || Number(req.body.timeout) < 1)) {
+      throw new Error(`timeout must be a positive number of milliseconds (got "${req.body.timeout}")`);
+    }
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  // Generating for someone else makes them the owner of the app, so it needs generateOnBehalfOf
+  // once authentication is on (without it there is no caller to compare with)
+  if (req.body.user && authenticator.enabled) {
+    const { userDirectory, userId } = req.odagService.parseUser(req.body.user);
+    const self = Boolean(req.identity.userDirectory && req.identity.userId) &&
+      String(userDirectory).toLowerCase() === req.identity.userDirectory.toLowerCase() &&
+      String(userId).toLowerCase() === req.identity.userId.toLowerCase();
+    if (!self && !identityMatches(req.identity, config.generateOnBehalfOf)) {
+      return res.status(403).json({
+        success: false,
+        forbidden: true,
+        error: `${req.identity.id} is not allowed to generate apps for other users (see generateOnBehalfOf in config.js)`
+      });
+    }
+  }
+
+  try {
+    const result = await req.odagService.generateODAGApp(req.params.id, {
+      selections: req.body.selections,
+      user: req.body.user,
+      wait: req.body.wait !== false,
+      timeout: req.body.timeout !== undefined ? Number(req.body.timeout) : undefined,
+      audit: req.audit,
+      access: req.access
+    });
+    res.status(result.forbidden ? 403 : 200).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/odag/requests/:id/cancel', audited('request.cancel'), async (req, res) => {
+  try {
+    const result = await req.odagService.cancelODAGRequest(req.params.id, { access: req.access });
+    res.status(result.forbidden ? 403 : 200).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/odag/requests/:id/retry', audited('request.retry'), async (req, res) => {
+  try {
+    const result = await req.odagService.retryODAGRequest(req.params.id, { access: req.access });
+    res.status(result.forbidden ? 403 : 200).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/qlik/apps', async (req, res) => {
+  try {
+    const roles = ['selection', 'template'].includes(req.query.role) ? [req.query.role] : ['selection', 'template'];
+    const apps = (await req.odagService.searchApps({
+      query: req.query.query,
+      stream: req.query.stream,
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined
+    })).filter(app => roles.some(role => req.access.canUseApp(app, role)));
+    res.json({ success: true, count: apps.length, apps });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/qlik/apps/:id/fields', async (req, res) => {
+  try {
+    const model = await req.odagService.getAppDataModel(req.params.id);
+    res.json({ success: true, ...model });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/qlik/apps/:id/sheets', async (req, res) => {
+  try {
+    const sheets = await req.odagService.getAppSheets(req.params.id);
+    res.json({ success: true, count: sheets.length, sheets });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/odag/links/:id/promote', audited('link.promote', { when: req => req.body.apply === true }), async (req, res) => {
+  let targetService;
+  try {
+    if (!req.body.targetEnvironment) {
+      throw new Error('targetEnvironment is required');
+    }
+    ensureRepeatableStrategy(req.body.publishedAppStrategy);
+    targetService = getODAGService(req.body.targetEnvironment, req.identity);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  try {
+    const result = await req.odagService.promoteODAGLink(req.params.id, targetService, {
+      appMapping: req.body.appMapping,
+      apply: req.body.apply === true,
+      allowPartial: req.body.allowPartial === true,
+      publishedAppStrategy: req.body.publishedAppStrategy,
+      audit: req.audit,
+      access: req.access
+    });
+    res.status(result.forbidden ? 403 : 200).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/odag/export', async (req, res) => {
+  let filters;
+  try {
+    filters = linkFilters(req.query, ['linkId', 'name', 'selectionApp', 'templateApp']);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  try {
+    const bundle = await req.odagService.exportODAGLinks(filters);
+    res.setHeader('Content-Disposition', `attachment; filename="odag-links-${req.environment}.json"`);
+    res.json(bundle);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/odag/import', audited('links.import'), async (req, res) => {
+  try {
+    req.odagService.validateBundle(req.body.bundle, req.body);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  try {
+    const result = await req.odagService.importODAGLinks(req.body.bundle, {
+      onCollision: req.body.onCollision,
+      appMapping: req.body.appMapping,
+      allowPartial: req.body.allowPartial === true,
+      publishedAppStrategy: req.body.publishedAppStrategy,
+      dryRun: req.body.dryRun === true,
+      audit: req.audit,
+      access: req.access
+    });
     res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/odag/create', async (req, res) => {
+app.post('/api/odag/bulk', audited('links.bulk'), async (req, res) => {
+  let rows;
+  try {
+    rows = Array.isArray(req.body.links)
+      ? req.body.links
+      : parseManifest(req.body.content || '', req.body.format);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
   try {
-    const result = await odagService.createCompleteODAGLink(req.body);
+    const result = await req.odagService.createODAGLinksBulk(rows, {
+      skipInvalid: req.body.skipInvalid === true,
+      allowPartial: req.body.allowPartial === true,
+      publishedAppStrategy: req.body.publishedAppStrategy,
+      audit: req.audit,
+      access: req.access
+    });
     res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// The audit log shows every user's requests, so once authentication is on only the
+// users and groups in auditReaders may read it
+function canReadAuditLog(identity) {
+  return !authenticator.enabled || identityMatches(identity, config.auditReaders);
+}
+
+function auditReadersOnly(req, res, next) {
+  if (!canReadAuditLog(req.identity)) {
+    return res.status(403).json({ success: false, forbidden: true, error: `${req.identity.id} is not allowed to read the audit log (see auditReaders in config.js)` });
+  }
+  next();
+}
+
+function readAuditQuery(query) {
+  const integer = (name, min) => {
+    if (query[name] === undefined || query[name] === '') return undefined;
+    if (typeof query[name] !== 'string' || !/^\d+$/.test(query[name]) || Number(query[name]) < min) {
+      throw new Error(`${name} must be an integer of at least ${min}`);
+    }
+    return Number(query[name]);
+  };
+  for (const name of ['from', 'to']) {
+    if (query[name] !== undefined && (typeof query[name] !== 'string' || Number.isNaN(new Date(query[name]).getTime()))) {
+      throw new Error(`${name} must be a date, e.g. 2024-01-01T00:00:00Z`);
+    }
+  }
+
+  return {
+    user: query.user,
+    action: query.action,
+    linkId: query.linkId,
+    outcome: query.outcome,
+    environment: query.auditEnvironment,
+    from: query.from,
+    to: query.to,
+    limit: Math.min(integer('limit', 1) ?? 100, MAX_QUERY_LIMIT),
+    offset: integer('offset', 0)
+  };
+}
+
+app.get('/api/audit', auditReadersOnly, async (req, res) => {
+  let filters;
+  try {
+    filters = readAuditQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  try {
+    const result = await auditLog.query(filters);
+    res.json({ success: true, count: result.entries.length, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/audit/:id', auditReadersOnly, async (req, res) => {
+  try {
+    const entry = await auditLog.get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: `Audit entry not found: ${req.params.id}` });
+    }
+    res.json({ success: true, entry });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Check if running as service
 const isService = process.env.NODE_ENV === 'production' || process.argv.includes('--service');
 
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`ODAG Link Creator Service running on port ${PORT}`);
-  console.log(`Ready to create ODAG links with authentication: ${config.userDirectory}\\${config.userId}`);
+  if (authenticator.enabled) {
+    console.log(`Authentication: ${authenticator.providers.join(', ')}`);
+  } else {
+    console.warn('WARNING: Authentication is disabled - anyone who can reach this port can change ODAG links. Set auth.providers in config.js.');
+  }
+  for (const [name, envConfig] of Object.entries(environmentConfigs)) {
+    if (envConfig.impersonation) {
+      console.log(`Environment ${name}: calls are made as the requesting user${authenticator.enabled ? '' : ' - requires authentication, so every request will be refused'}`);
+    }
+  }
+  for (const [name, envConfig] of Object.entries(environmentConfigs)) {
+    const marker = name === defaultEnvironment ? ' (default)' : '';
+    console.log(`Environment ${name}${marker}: ${envConfig.qlikHost} as ${envConfig.userDirectory}\\${envConfig.userId}`);
+  }
   console.log();
   console.log(`Web Interface: http://localhost:${PORT}`);
   console.log(`API Endpoint: http://localhost:${PORT}/api/odag/create`);
@@ -696,4 +4984,4 @@ process.on('unhandledRejection', (reason, promise) => {
   process.exit(1);
 });
 
-export { ODAGLinkCreator, odagService };
\ No newline at end of file
+export { ODAGLinkCreator, odagService, getODAGService };
\ No newline at end of file
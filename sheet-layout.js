@@ -0,0 +1,48 @@
+// sheet-layout.js - Grid placement of objects on a Qlik Sense sheet
+
+// Sheets created in the hub use a 24 x 12 grid unless the author changed it
+export const DEFAULT_SHEET_COLUMNS = 24;
+export const DEFAULT_SHEET_ROWS = 12;
+
+const DEFAULT_PLACEMENT = { col: 0, row: 0, colspan: 4, rowspan: 2 };
+
+// Fills in the default size and checks every value is a grid coordinate.
+// Accepts numbers or numeric strings (as sent by the web form and CSV manifests).
+export function normalizeSheetPlacement(placement = {}) {
+  if (!placement || typeof placement !== 'object' || Array.isArray(placement)) {
+    throw new Error('sheetPlacement must be an object with col, row, colspan and rowspan');
+  }
+
+  const normalized = {};
+  for (const [key, fallback] of Object.entries(DEFAULT_PLACEMENT)) {
+    const raw = placement[key];
+    const value = raw === undefined || raw === null || raw === '' ? fallback : Number(raw);
+    const minimum = key === 'col' || key === 'row' ? 0 : 1;
+    if (!Number.isInteger(value) || value < minimum) {
+      throw new Error(`sheetPlacement.${key} must be an integer of at least ${minimum} (got "${raw}")`);
+    }
+    normalized[key] = value;
+  }
+  return normalized;
+}
+
+function overlaps(a, b) {
+  return a.col < b.col + b.colspan && b.col < a.col + a.colspan &&
+    a.row < b.row + b.rowspan && b.row < a.row + a.rowspan;
+}
+
+// Returns why the placement does not fit on the sheet, or null if the cells are free.
+// `sheet` is either the sheet properties or an entry from listSheets.
+export function findPlacementConflict(sheet, placement) {
+  const columns = sheet.columns || DEFAULT_SHEET_COLUMNS;
+  const rows = sheet.rows || DEFAULT_SHEET_ROWS;
+
+  if (placement.col + placement.colspan > columns || placement.row + placement.rowspan > rows) {
+    return `position col ${placement.col}, row ${placement.row} with size ${placement.colspan}x${placement.rowspan} does not fit the ${columns}x${rows} sheet grid`;
+  }
+
+  const blocking = (sheet.cells || []).find(cell => overlaps(cell, placement));
+  return blocking
+    ? `position overlaps ${blocking.type || 'object'} "${blocking.name}" at col ${blocking.col}, row ${blocking.row}`
+    : null;
+}